@@ -1,36 +1,218 @@
+import { TASK_STATUSES, TASK_PRIORITIES, PATTERNS } from './validators.js';
+import { migrate, unwrap, wrap, CURRENT_VERSION } from './migrations.js';
+import { isIndexedDBAvailable, openIndexedDBBackend } from './idb.js';
+import { findAnyCycle } from './dependencies.js';
+import { announceChange } from './sync.js';
+import { isEncryptedBackup, encryptBackup, decryptBackup } from './encryption.js';
+
 const STORAGE_KEY = 'campus-planner:tasks';
 const SETTINGS_KEY = 'campus-planner:settings';
+const TIMER_KEY = 'campus-planner:timer';
+const COURSES_KEY = 'campus-planner:courses';
+const SAVED_SEARCHES_KEY = 'campus-planner:saved-searches';
+const REMINDERS_KEY = 'campus-planner:reminders';
+const PLAN_KEY = 'campus-planner:plan';
+const BACKUP_PREFIX = 'campus-planner:backup:';
+
+const DEFAULT_SETTINGS = {
+    timeUnit: 'minutes',
+    weeklyCap: 40,
+    focusMinutes: 25,
+    breakMinutes: 5,
+    tagColors: {},
+    // Minutes before a deadline, for tasks without their own reminders
+    reminderOffsets: [1440, 120],
+    // IANA time zone for dates and due times; empty uses the browser's zone
+    timeZone: '',
+    // Hours free for study on each weekday, Sunday first, for the work planner
+    availability: [2, 3, 3, 3, 3, 3, 2],
+    maxSessionMinutes: 90,
+    // Weekly timetable of blocked slots and study windows, and the hours a study day spans
+    timetable: [],
+    studyDay: { start: '08:00', end: '22:00' }
+};
+
+/**
+ * Default task backend: the whole list as one JSON string in localStorage
+ */
+const localStorageBackend = {
+    name: 'localStorage',
+
+    readTasks() {
+        return localStorage.getItem(STORAGE_KEY);
+    },
+
+    writeTasks(envelope) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(envelope));
+    },
+
+    // Every tab reads the same key, so another tab's save is already ours
+    adoptTasks() {},
+
+    clearTasks() {
+        localStorage.removeItem(STORAGE_KEY);
+    }
+};
+
+// Backend holding tasks; settings, timer and backups always stay in localStorage
+let backend = localStorageBackend;
+
+// Problem from the last loadTasks() call: { message, backupKey } or null
+let loadError = null;
+
+// Called with the error whenever a task save fails
+const saveErrorListeners = [];
+
+/**
+ * Pick the task backend. Prefers IndexedDB, moving any tasks saved in
+ * localStorage across on first use, and falls back to localStorage when
+ * IndexedDB is missing or fails to open. Call once before loadTasks().
+ * @returns {Promise<string>} Name of the backend in use
+ */
+export async function initStorage() {
+    if (!isIndexedDBAvailable()) return backend.name;
+
+    try {
+        const idb = await openIndexedDBBackend();
+
+        if (idb.readTasks() === null) {
+            const legacy = localStorage.getItem(STORAGE_KEY);
+            if (legacy) {
+                // Copied as saved; loadTasks() upgrades it like any other old data
+                await idb.writeTasks(unwrap(JSON.parse(legacy)));
+                localStorage.removeItem(STORAGE_KEY);
+            }
+        }
+
+        backend = idb;
+    } catch (error) {
+        // Unreadable localStorage data also lands here, so loadTasks() can back it up
+        console.warn('IndexedDB unavailable, using localStorage:', error);
+    }
+
+    return backend.name;
+}
+
+/**
+ * Name of the backend tasks are saved to
+ * @returns {string}
+ */
+export function getStorageBackendName() {
+    return backend.name;
+}
+
+/**
+ * Register a callback for failed task saves. IndexedDB writes finish after
+ * saveTasks() returns, so failures are reported here rather than returned.
+ * @param {Function} listener - Called with the Error
+ */
+export function onSaveError(listener) {
+    saveErrorListeners.push(listener);
+}
+
+function reportSaveError(error) {
+    console.error('Error saving tasks:', error);
+    saveErrorListeners.forEach(listener => listener(error));
+}
+
+/**
+ * Load tasks, upgrading data saved by older versions.
+ * If the data can't be read or upgraded, the raw text is copied to a backup key
+ * before an empty list is returned, so the next save can't destroy it.
+ */
 export function loadTasks() {
+    let data = null;
+    loadError = null;
+    
     try {
-        const data = localStorage.getItem(STORAGE_KEY);
-        return data ? JSON.parse(data) : [];
+        data = backend.readTasks();
+        if (!data) return [];
+        
+        const { tasks, fromVersion } = migrate(typeof data === 'string' ? JSON.parse(data) : data);
+        if (fromVersion !== CURRENT_VERSION) {
+            saveTasks(tasks);
+        }
+        return tasks;
     } catch (error) {
         console.error('Error loading tasks:', error);
+        loadError = {
+            message: error.message,
+            backupKey: data ? backupRawData(typeof data === 'string' ? data : JSON.stringify(data)) : null
+        };
         return [];
     }
 }
 
+/**
+ * Problem found by the last loadTasks() call
+ * @returns {Object|null} { message, backupKey } or null
+ */
+export function getLoadError() {
+    return loadError;
+}
+
+/**
+ * Read a backup saved after a failed load
+ * @param {string} key - Backup key
+ * @returns {string|null} Raw saved text
+ */
+export function readBackup(key) {
+    try {
+        return localStorage.getItem(key);
+    } catch (error) {
+        console.error('Error reading backup:', error);
+        return null;
+    }
+}
+
+function backupRawData(data) {
+    const key = BACKUP_PREFIX + new Date().toISOString();
+    try {
+        localStorage.setItem(key, data);
+        return key;
+    } catch (error) {
+        console.error('Error backing up tasks:', error);
+        return null;
+    }
+}
+
+/**
+ * Save tasks to the current backend
+ * @param {Array} tasks - All tasks
+ * @returns {boolean} False if the save failed straight away; later failures go to onSaveError()
+ */
 export function saveTasks(tasks) {
     try {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(tasks));
+        const envelope = wrap(tasks);
+        const pending = backend.writeTasks(envelope);
+        if (pending) pending.catch(reportSaveError);
+        // Other tabs may not see IndexedDB writes yet, so the tasks travel with the message
+        announceChange('tasks', envelope);
         return true;
     } catch (error) {
-        console.error('Error saving tasks:', error);
+        reportSaveError(error);
         return false;
     }
 }
 
+/**
+ * Take in tasks another tab has saved, so this tab's next save only writes
+ * what changed since then. Without it, a task the other tab added and this
+ * tab deletes would never be removed from IndexedDB.
+ * @param {Object} envelope - { version, tasks } sent with the other tab's change
+ */
+export function adoptRemoteTasks(envelope) {
+    backend.adoptTasks(envelope);
+}
 
 export function loadSettings() {
     try {
         const data = localStorage.getItem(SETTINGS_KEY);
-        return data ? JSON.parse(data) : {
-            timeUnit: 'minutes',
-            weeklyCap: 40
-        };
+        // Merge so settings saved by older versions pick up new defaults
+        return data ? { ...DEFAULT_SETTINGS, ...JSON.parse(data) } : { ...DEFAULT_SETTINGS };
     } catch (error) {
         console.error('Error loading settings:', error);
-        return { timeUnit: 'minutes', weeklyCap: 40 };
+        return { ...DEFAULT_SETTINGS };
     }
 }
 
@@ -38,6 +220,7 @@ export function loadSettings() {
 export function saveSettings(settings) {
     try {
         localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+        announceChange('settings');
         return true;
     } catch (error) {
         console.error('Error saving settings:', error);
@@ -45,10 +228,138 @@ export function saveSettings(settings) {
     }
 }
 
+export function loadTimer() {
+    try {
+        const data = localStorage.getItem(TIMER_KEY);
+        return data ? JSON.parse(data) : null;
+    } catch (error) {
+        console.error('Error loading timer:', error);
+        return null;
+    }
+}
+
+
+export function saveTimer(timer) {
+    try {
+        if (timer) {
+            localStorage.setItem(TIMER_KEY, JSON.stringify(timer));
+        } else {
+            localStorage.removeItem(TIMER_KEY);
+        }
+        announceChange('timer');
+        return true;
+    } catch (error) {
+        console.error('Error saving timer:', error);
+        return false;
+    }
+}
+
+export function loadCourses() {
+    try {
+        const data = localStorage.getItem(COURSES_KEY);
+        return data ? JSON.parse(data) : [];
+    } catch (error) {
+        console.error('Error loading courses:', error);
+        return [];
+    }
+}
+
+
+export function saveCourses(courses) {
+    try {
+        localStorage.setItem(COURSES_KEY, JSON.stringify(courses));
+        announceChange('courses');
+        return true;
+    } catch (error) {
+        console.error('Error saving courses:', error);
+        return false;
+    }
+}
+
+export function loadSavedSearches() {
+    try {
+        const data = localStorage.getItem(SAVED_SEARCHES_KEY);
+        return data ? JSON.parse(data) : [];
+    } catch (error) {
+        console.error('Error loading saved searches:', error);
+        return [];
+    }
+}
+
+
+export function saveSavedSearches(searches) {
+    try {
+        localStorage.setItem(SAVED_SEARCHES_KEY, JSON.stringify(searches));
+        announceChange('searches');
+        return true;
+    } catch (error) {
+        console.error('Error saving searches:', error);
+        return false;
+    }
+}
+
+/**
+ * Load the log of reminders already shown
+ * @returns {Object} Reminder key -> ms timestamp when it fired
+ */
+export function loadFiredReminders() {
+    try {
+        const data = localStorage.getItem(REMINDERS_KEY);
+        return data ? JSON.parse(data) : {};
+    } catch (error) {
+        console.error('Error loading reminders:', error);
+        return {};
+    }
+}
+
+
+export function saveFiredReminders(fired) {
+    try {
+        localStorage.setItem(REMINDERS_KEY, JSON.stringify(fired));
+        return true;
+    } catch (error) {
+        console.error('Error saving reminders:', error);
+        return false;
+    }
+}
+
+export function loadPlan() {
+    try {
+        const data = localStorage.getItem(PLAN_KEY);
+        return data ? JSON.parse(data) : null;
+    } catch (error) {
+        console.error('Error loading plan:', error);
+        return null;
+    }
+}
+
+
+export function savePlan(plan) {
+    try {
+        if (plan) {
+            localStorage.setItem(PLAN_KEY, JSON.stringify(plan));
+        } else {
+            localStorage.removeItem(PLAN_KEY);
+        }
+        announceChange('plan');
+        return true;
+    } catch (error) {
+        console.error('Error saving plan:', error);
+        return false;
+    }
+}
+
 export function clearAllData() {
     try {
-        localStorage.removeItem(STORAGE_KEY);
+        const pending = backend.clearTasks();
+        if (pending) pending.catch(reportSaveError);
         localStorage.removeItem(SETTINGS_KEY);
+        localStorage.removeItem(TIMER_KEY);
+        localStorage.removeItem(COURSES_KEY);
+        localStorage.removeItem(SAVED_SEARCHES_KEY);
+        localStorage.removeItem(REMINDERS_KEY);
+        localStorage.removeItem(PLAN_KEY);
+        announceChange('settings');
         return true;
     } catch (error) {
         console.error('Error clearing data:', error);
@@ -69,24 +380,127 @@ export function validateImportData(data) {
         if (!task.title) errors.push(`Task ${index}: missing title`);
         if (typeof task.duration !== 'number') errors.push(`Task ${index}: invalid duration`);
         if (!task.dueDate) errors.push(`Task ${index}: missing dueDate`);
-        if (!task.tag) errors.push(`Task ${index}: missing tag`);
+        if (task.dueTime !== null && task.dueTime !== undefined && !PATTERNS.time.test(String(task.dueTime))) {
+            errors.push(`Task ${index}: invalid dueTime`);
+        }
+        if (!Array.isArray(task.tags)) errors.push(`Task ${index}: missing tags`);
+        if (task.courseId !== null && task.courseId !== undefined && typeof task.courseId !== 'string') {
+            errors.push(`Task ${index}: invalid courseId`);
+        }
+        if (task.reminders !== null && task.reminders !== undefined &&
+            !(Array.isArray(task.reminders) && task.reminders.every(offset => Number.isInteger(offset) && offset >= 0))) {
+            errors.push(`Task ${index}: invalid reminders`);
+        }
+        if (task.subtasks !== undefined && !isValidSubtaskList(task.subtasks)) {
+            errors.push(`Task ${index}: invalid subtasks`);
+        }
+        Object.entries(task.overrides || {}).forEach(([date, override]) => {
+            if (override && override.subtasks !== undefined && !isValidSubtaskList(override.subtasks)) {
+                errors.push(`Task ${index}: invalid subtasks on ${date}`);
+            }
+        });
+        if (task.dependsOn !== undefined &&
+            !(Array.isArray(task.dependsOn) && task.dependsOn.every(id => typeof id === 'string'))) {
+            errors.push(`Task ${index}: invalid dependsOn`);
+        }
         if (!task.createdAt) errors.push(`Task ${index}: missing createdAt`);
         if (!task.updatedAt) errors.push(`Task ${index}: missing updatedAt`);
+        if (task.status !== undefined && !TASK_STATUSES.includes(task.status)) {
+            errors.push(`Task ${index}: invalid status`);
+        }
+        if (task.priority !== undefined && !TASK_PRIORITIES.includes(task.priority)) {
+            errors.push(`Task ${index}: invalid priority`);
+        }
     });
     
+    if (errors.length === 0) {
+        const cycle = findAnyCycle(data);
+        if (cycle) {
+            const titles = cycle.map(id => `"${data.find(task => task.id === id).title}"`);
+            errors.push(`Prerequisites go in a circle: ${titles.join(' → ')}`);
+        }
+    }
+    
     return {
         valid: errors.length === 0,
         errors
     };
 }
 
-export function exportToJSON(tasks) {
-    return JSON.stringify(tasks, null, 2);
+// Checklist steps: { id, title, duration: minutes or null, done }
+function isValidSubtaskList(subtasks) {
+    return Array.isArray(subtasks) && subtasks.every(step =>
+        step && typeof step === 'object' &&
+        typeof step.id === 'string' && step.id &&
+        typeof step.title === 'string' && step.title.trim() &&
+        (step.duration === null || (typeof step.duration === 'number' && step.duration >= 0)) &&
+        typeof step.done === 'boolean');
+}
+
+/**
+ * Export tasks, and the courses they belong to, as JSON
+ * @param {Array} tasks - Tasks
+ * @param {Array} [courses] - Courses
+ * @returns {string} JSON text
+ */
+export function exportToJSON(tasks, courses = []) {
+    return JSON.stringify({
+        ...wrap(tasks),
+        courses,
+        exportedAt: new Date().toISOString()
+    }, null, 2);
+}
+
+/**
+ * Export like exportToJSON(), encrypted with a passphrase
+ * @param {Array} tasks - Tasks
+ * @param {Array} courses - Courses
+ * @param {string} passphrase - Already checked with validatePassphrase()
+ * @returns {Promise<string>} JSON text of the encrypted backup
+ */
+export function exportToEncryptedJSON(tasks, courses, passphrase) {
+    return encryptBackup(exportToJSON(tasks, courses), passphrase);
 }
 
 export function importFromJSON(jsonString) {
+    // Encrypted backups need their passphrase first; see importFromEncryptedJSON()
+    if (isEncryptedBackup(jsonString)) {
+        return {
+            success: false,
+            encrypted: true,
+            data: null,
+            errors: ['This backup is encrypted. Enter its passphrase to import it.']
+        };
+    }
+
+    let data;
+    try {
+        data = JSON.parse(jsonString);
+    } catch (error) {
+        return {
+            success: false,
+            data: null,
+            errors: ['Invalid JSON format: ' + error.message]
+        };
+    }
+    
+    // Courses ride alongside tasks in newer exports; entries without an id or name are dropped
+    const courses = data && Array.isArray(data.courses)
+        ? data.courses.filter(course => course && typeof course.id === 'string' && typeof course.name === 'string')
+        : [];
+    
+    try {
+        // Older exports (bare arrays, earlier schemas) are upgraded before validation
+        data = migrate(data).tasks;
+    } catch (error) {
+        return {
+            success: false,
+            data: null,
+            errors: ['Could not read this file: ' + error.message]
+        };
+    }
+    
     try {
-        const data = JSON.parse(jsonString);
         const validation = validateImportData(data);
         
         if (!validation.valid) {
@@ -100,13 +514,34 @@ export function importFromJSON(jsonString) {
         return {
             success: true,
             data,
+            courses,
             errors: []
         };
     } catch (error) {
         return {
             success: false,
             data: null,
-            errors: ['Invalid JSON format: ' + error.message]
+            errors: ['Invalid task data: ' + error.message]
+        };
+    }
+}
+
+
+/**
+ * Decrypt a passphrase-protected backup, then import it as importFromJSON() does
+ * @param {string} jsonString - Encrypted backup file contents
+ * @param {string} passphrase
+ * @returns {Promise<Object>} Same as importFromJSON(), plus wrongPassphrase when that was the problem
+ */
+export async function importFromEncryptedJSON(jsonString, passphrase) {
+    const decrypted = await decryptBackup(jsonString, passphrase);
+    if (!decrypted.success) {
+        return {
+            success: false,
+            data: null,
+            errors: [decrypted.message],
+            wrongPassphrase: decrypted.reason === 'passphrase'
         };
     }
+    return importFromJSON(decrypted.text);
 }
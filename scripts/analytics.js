@@ -0,0 +1,142 @@
+// analytics.js - Time trends over a week, month or term: per day/week, per tag, against the cap
+
+import { shiftDate, startOfWeek, parseDate } from './dates.js';
+import { getTaskTags } from './tags.js';
+import { WEEKDAY_LABELS } from './recurrence.js';
+
+/**
+ * Ranges the Analytics page offers. Each ends today; the term range is whole
+ * weeks, the last one being the current week.
+ */
+export const ANALYTICS_RANGES = {
+    week: { label: 'Last 7 days', days: 7, bucket: 'day' },
+    month: { label: 'Last 30 days', days: 30, bucket: 'day' },
+    term: { label: 'This term (15 weeks)', days: 15 * 7, bucket: 'week' }
+};
+
+export const UNTAGGED = '(untagged)';
+
+/**
+ * Time spent on a task: the actual time when logged, otherwise its planned duration
+ * @param {Object} task - Task or occurrence
+ * @returns {number} Minutes
+ */
+export function getTaskMinutes(task) {
+    return typeof task.actualMinutes === 'number' ? task.actualMinutes : task.duration;
+}
+
+/**
+ * Work out the analytics for one range. Tasks count on their due date.
+ * @param {Array} tasks - Tasks or occurrences, expanded at least up to endDate
+ * @param {Object} options - { range: key of ANALYTICS_RANGES, endDate: last day (YYYY-MM-DD), weeklyCap: hours }
+ * @returns {Object} {
+ *     range, from, to, bucket,
+ *     totals: { minutes, doneMinutes, count },
+ *     buckets: [{ start, end, label, minutes, doneMinutes, count }] - one per day or week,
+ *     weeks: [{ start, label, minutes, capMinutes, overCap }],
+ *     tags: [{ tag, minutes, share }] - largest first; a task's time is split evenly between its tags,
+ *     weekdays: [{ day, label, minutes, average, busiest }] - Sunday first
+ * }
+ */
+export function buildAnalytics(tasks, options) {
+    const { range, endDate, weeklyCap } = options;
+    const config = ANALYTICS_RANGES[range] || ANALYTICS_RANGES.week;
+    const to = endDate;
+    // Weekly ranges end with the current week, so they start on a week boundary
+    const from = config.bucket === 'week'
+        ? shiftDate(startOfWeek(to), -(config.days - 7))
+        : shiftDate(to, -(config.days - 1));
+
+    const inRange = tasks.filter(task => task.dueDate >= from && task.dueDate <= to);
+    const isDone = task => (task.status || 'todo') === 'done';
+    const sumMinutes = list => list.reduce((sum, task) => sum + getTaskMinutes(task), 0);
+
+    const buckets = listBucketStarts(from, to, config.bucket).map(start => {
+        const end = config.bucket === 'week' ? shiftDate(start, 6) : start;
+        const bucketTasks = inRange.filter(task => task.dueDate >= start && task.dueDate <= end);
+        return {
+            start,
+            end: end > to ? to : end,
+            label: formatBucketLabel(start, config.bucket),
+            minutes: sumMinutes(bucketTasks),
+            doneMinutes: sumMinutes(bucketTasks.filter(isDone)),
+            count: bucketTasks.length
+        };
+    });
+
+    const capMinutes = weeklyCap * 60;
+    const weeks = listBucketStarts(startOfWeek(from), to, 'week').map(start => {
+        const minutes = sumMinutes(inRange.filter(task => startOfWeek(task.dueDate) === start));
+        return { start, label: formatBucketLabel(start, 'week'), minutes, capMinutes, overCap: minutes > capMinutes };
+    });
+
+    return {
+        range,
+        from,
+        to,
+        bucket: config.bucket,
+        totals: { minutes: sumMinutes(inRange), doneMinutes: sumMinutes(inRange.filter(isDone)), count: inRange.length },
+        buckets,
+        weeks,
+        tags: breakDownByTag(inRange),
+        weekdays: breakDownByWeekday(inRange, from, to)
+    };
+}
+
+function listBucketStarts(from, to, bucket) {
+    const starts = [];
+    const step = bucket === 'week' ? 7 : 1;
+    for (let date = bucket === 'week' ? startOfWeek(from) : from; date <= to; date = shiftDate(date, step)) {
+        starts.push(date);
+    }
+    return starts;
+}
+
+function formatBucketLabel(date, bucket) {
+    const day = parseDate(date);
+    if (bucket === 'week') {
+        return 'Wk of ' + day.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+    }
+    return day.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+function breakDownByTag(tasks) {
+    const minutesByTag = new Map();
+
+    tasks.forEach(task => {
+        const tags = getTaskTags(task).length > 0 ? getTaskTags(task) : [UNTAGGED];
+        const share = getTaskMinutes(task) / tags.length;
+        tags.forEach(tag => minutesByTag.set(tag, (minutesByTag.get(tag) || 0) + share));
+    });
+
+    const total = [...minutesByTag.values()].reduce((sum, minutes) => sum + minutes, 0);
+    return [...minutesByTag.entries()]
+        .map(([tag, minutes]) => ({ tag, minutes, share: total > 0 ? minutes / total : 0 }))
+        .sort((a, b) => b.minutes - a.minutes || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Minutes per weekday, and the average over how many of that weekday the range holds
+ */
+function breakDownByWeekday(tasks, from, to) {
+    const minutes = new Array(7).fill(0);
+    const occurrences = new Array(7).fill(0);
+
+    for (let date = from; date <= to; date = shiftDate(date, 1)) {
+        occurrences[parseDate(date).getUTCDay()] += 1;
+    }
+    tasks.forEach(task => {
+        minutes[parseDate(task.dueDate).getUTCDay()] += getTaskMinutes(task);
+    });
+
+    const averages = minutes.map((total, day) => (occurrences[day] > 0 ? total / occurrences[day] : 0));
+    const busiest = Math.max(...averages);
+
+    return WEEKDAY_LABELS.map((label, day) => ({
+        day,
+        label,
+        minutes: minutes[day],
+        average: averages[day],
+        busiest: busiest > 0 && averages[day] === busiest
+    }));
+}
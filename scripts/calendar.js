@@ -0,0 +1,227 @@
+// calendar.js - Calendar page rendering (month, week and day views)
+
+import { getOccurrences, getSettings, getCalendarView, getCalendarDate, getTaskStatus } from './state.js';
+import { formatDuration, renderTagBadges, escapeHTML } from './ui.js';
+import { getTaskTags } from './tags.js';
+import { parseDate, shiftDate, shiftMonth, startOfWeek, startOfMonth, today } from './dates.js';
+import { WEEKDAY_LABELS } from './recurrence.js';
+
+/**
+ * First and last date shown by a view (whole weeks for month and week views)
+ * @param {string} view - 'month', 'week' or 'day'
+ * @param {string} date - Focused date
+ * @returns {Object} { start, end }
+ */
+export function getVisibleRange(view, date) {
+    if (view === 'day') return { start: date, end: date };
+
+    if (view === 'week') {
+        const start = startOfWeek(date);
+        return { start, end: shiftDate(start, 6) };
+    }
+
+    const first = startOfMonth(date);
+    const last = shiftDate(shiftMonth(first, 1), -1);
+    return { start: startOfWeek(first), end: shiftDate(startOfWeek(last), 6) };
+}
+
+/**
+ * Move a date by one period of the given view
+ * @param {string} view - 'month', 'week' or 'day'
+ * @param {string} date - Date string
+ * @param {number} direction - -1 for back, 1 for forward
+ * @returns {string} New date
+ */
+export function stepDate(view, date, direction) {
+    if (view === 'month') return shiftMonth(date, direction);
+    if (view === 'week') return shiftDate(date, 7 * direction);
+    return shiftDate(date, direction);
+}
+
+/**
+ * Render the calendar for the current view and date
+ */
+export function renderCalendar() {
+    const view = getCalendarView();
+    const date = getCalendarDate();
+    const settings = getSettings();
+    const { start, end } = getVisibleRange(view, date);
+
+    // Group a whole week even for the day view so the weekly total is available
+    const groupEnd = shiftDate(startOfWeek(end), 6);
+    const byDate = groupByDate(getOccurrences(groupEnd), startOfWeek(start), groupEnd);
+
+    document.getElementById('calendar-title').textContent = formatTitle(view, date);
+    document.querySelectorAll('.calendar-view-btn').forEach(btn => {
+        btn.setAttribute('aria-pressed', String(btn.dataset.view === view));
+    });
+
+    const container = document.getElementById('calendar-grid');
+    container.className = `calendar-grid calendar-${view}`;
+    container.setAttribute('role', view === 'day' ? 'group' : 'grid');
+    container.innerHTML = view === 'day'
+        ? renderDayView(date, byDate, settings)
+        : renderGridView(view, start, end, date, byDate, settings);
+}
+
+/**
+ * Move keyboard focus to a day cell
+ * @param {string} date - Date string
+ */
+export function focusCalendarDate(date) {
+    const cell = document.querySelector(`#calendar-grid [data-date="${date}"]`);
+    if (cell) cell.focus();
+}
+
+function renderGridView(view, start, end, focused, byDate, settings) {
+    const month = focused.slice(0, 7);
+    const rows = [`
+        <div class="calendar-row calendar-header" role="row">
+            ${WEEKDAY_LABELS.map(label => `<div class="calendar-weekday" role="columnheader">${label}</div>`).join('')}
+            <div class="calendar-weekday" role="columnheader">Week</div>
+        </div>
+    `];
+
+    for (let week = start; week <= end; week = shiftDate(week, 7)) {
+        const days = WEEKDAY_LABELS.map((label, index) => shiftDate(week, index));
+        const cells = days.map(day => renderDayCell(day, byDate[day] || [], {
+            focused: day === focused,
+            outside: view === 'month' && day.slice(0, 7) !== month
+        }, settings));
+
+        rows.push(`
+            <div class="calendar-row" role="row">
+                ${cells.join('')}
+                ${renderWeekTotal(sumMinutes(days.flatMap(day => byDate[day] || [])), settings)}
+            </div>
+        `);
+    }
+
+    return rows.join('');
+}
+
+function renderDayCell(date, tasks, { focused, outside }, settings) {
+    const minutes = sumMinutes(tasks);
+    const classes = ['calendar-day'];
+    if (outside) classes.push('outside-month');
+    if (date === today()) classes.push('is-today');
+
+    const label = `${formatLongDate(date)}: ${tasks.length} ${tasks.length === 1 ? 'task' : 'tasks'}` +
+        (minutes > 0 ? `, ${formatDuration(minutes, settings.timeUnit)}` : '');
+
+    return `
+        <div class="${classes.join(' ')}" role="gridcell" data-date="${date}"
+             tabindex="${focused ? 0 : -1}" aria-selected="${focused}" aria-label="${label}">
+            <div class="day-header">
+                <span class="day-number">${parseDate(date).getUTCDate()}</span>
+                ${minutes > 0 ? `<span class="day-total">${formatDuration(minutes, settings.timeUnit)}</span>` : ''}
+            </div>
+            <ul class="day-tasks">
+                ${tasks.map(task => `
+                <li class="calendar-task status-${getTaskStatus(task)}" draggable="true" data-id="${escapeHTML(task.id)}"
+                    title="${escapeHTML(task.title)} (${formatDuration(task.duration, settings.timeUnit)})">${task.dueTime ? `<span class="calendar-task-time">${escapeHTML(task.dueTime)}</span> ` : ''}${escapeHTML(task.title)}</li>`).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+function renderWeekTotal(minutes, settings) {
+    const hours = minutes / 60;
+    const cap = settings.weeklyCap;
+    const over = hours > cap;
+    const percentage = cap > 0 ? Math.min((hours / cap) * 100, 100) : 100;
+
+    return `
+        <div class="calendar-week-total ${over ? 'over-cap' : ''}" role="gridcell"
+             aria-label="Week total ${hours.toFixed(1)} of ${cap} hour cap${over ? ', over cap' : ''}">
+            <span>${hours.toFixed(1)} / ${cap} h</span>
+            <div class="cap-bar mini-cap-bar">
+                <div class="cap-progress ${over ? 'over-cap' : ''}" style="width: ${percentage}%"></div>
+            </div>
+        </div>
+    `;
+}
+
+function renderDayView(date, byDate, settings) {
+    const tasks = byDate[date] || [];
+    const week = startOfWeek(date);
+    const weekMinutes = sumMinutes(WEEKDAY_LABELS.flatMap((label, index) => byDate[shiftDate(week, index)] || []));
+    const unit = settings.timeUnit;
+
+    const summary = `
+        <p class="day-view-summary">
+            ${tasks.length} ${tasks.length === 1 ? 'task' : 'tasks'} · ${formatDuration(sumMinutes(tasks), unit)} due ·
+            week total ${(weekMinutes / 60).toFixed(1)} / ${settings.weeklyCap} hours
+        </p>
+    `;
+
+    if (tasks.length === 0) {
+        return summary + '<p class="empty-state">Nothing due on this day.</p>';
+    }
+
+    return summary + `
+        <ul class="day-view-tasks">
+            ${tasks.map(task => `
+            <li class="day-view-task status-${getTaskStatus(task)}">
+                <div>
+                    <span class="task-title">${task.dueTime ? `${escapeHTML(task.dueTime)} · ` : ''}${escapeHTML(task.title)}</span>
+                    <span class="task-tags">${renderTagBadges(getTaskTags(task), settings.tagColors)}</span>
+                </div>
+                <span class="day-view-duration">${formatDuration(task.duration, unit)}</span>
+                <div class="task-actions">
+                    <button type="button" class="btn-secondary calendar-move" data-id="${escapeHTML(task.id)}" data-days="-1"
+                            aria-label="Move ${escapeHTML(task.title)} to the previous day">◀ Earlier</button>
+                    <button type="button" class="btn-secondary calendar-move" data-id="${escapeHTML(task.id)}" data-days="1"
+                            aria-label="Move ${escapeHTML(task.title)} to the next day">Later ▶</button>
+                </div>
+            </li>`).join('')}
+        </ul>
+    `;
+}
+
+function groupByDate(tasks, start, end) {
+    const byDate = {};
+    tasks.forEach(task => {
+        if (task.dueDate < start || task.dueDate > end) return;
+        (byDate[task.dueDate] = byDate[task.dueDate] || []).push(task);
+    });
+
+    // Timed tasks first, in time order; all-day tasks keep their order after them
+    Object.values(byDate).forEach(list => {
+        list.sort((a, b) => (a.dueTime || '24:00').localeCompare(b.dueTime || '24:00'));
+    });
+
+    return byDate;
+}
+
+function sumMinutes(tasks) {
+    return tasks.reduce((sum, task) => sum + task.duration, 0);
+}
+
+function formatTitle(view, date) {
+    const options = { timeZone: 'UTC' };
+
+    if (view === 'month') {
+        return parseDate(date).toLocaleDateString('en-US', { ...options, month: 'long', year: 'numeric' });
+    }
+
+    if (view === 'week') {
+        const start = startOfWeek(date);
+        const end = shiftDate(start, 6);
+        const from = parseDate(start).toLocaleDateString('en-US', { ...options, month: 'short', day: 'numeric' });
+        const to = parseDate(end).toLocaleDateString('en-US', { ...options, month: 'short', day: 'numeric', year: 'numeric' });
+        return `${from} – ${to}`;
+    }
+
+    return formatLongDate(date);
+}
+
+function formatLongDate(date) {
+    return parseDate(date).toLocaleDateString('en-US', {
+        timeZone: 'UTC',
+        weekday: 'long',
+        month: 'long',
+        day: 'numeric',
+        year: 'numeric'
+    });
+}
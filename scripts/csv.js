@@ -0,0 +1,195 @@
+// csv.js - CSV export, parsing and column mapping for spreadsheet import
+
+import { validateTask, TASK_STATUSES } from './validators.js';
+import { parseTags, formatTags } from './tags.js';
+
+/**
+ * Task fields a CSV column can be mapped to
+ */
+export const CSV_FIELDS = ['title', 'duration', 'dueDate', 'dueTime', 'tags', 'status', 'actualMinutes', 'completedAt'];
+
+// Every importable field, so an exported file imports back without losing anything
+const EXPORT_COLUMNS = CSV_FIELDS;
+
+// First characters that make a spreadsheet treat a cell as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Header names (lowercase, letters only) recognised when guessing the mapping
+const HEADER_HINTS = {
+    title: ['title', 'task', 'name', 'assignment', 'summary', 'description'],
+    duration: ['duration', 'minutes', 'mins', 'time', 'length', 'estimate'],
+    dueDate: ['duedate', 'due', 'date', 'deadline'],
+    dueTime: ['duetime', 'dueat'],
+    tags: ['tag', 'course', 'category', 'categories', 'subject', 'module', 'class'],
+    status: ['status', 'state', 'progress'],
+    actualMinutes: ['actualminutes', 'actual', 'timespent', 'spent', 'logged'],
+    completedAt: ['completedat', 'completed', 'finished', 'doneat']
+};
+
+/**
+ * Export tasks as CSV. Text a spreadsheet would run as a formula (=, +, -, @)
+ * gets a leading ' so it opens as text; importing the file removes it again.
+ * @param {Array} tasks - Tasks to export, in the order given
+ * @returns {string} CSV text with a header row
+ */
+export function exportToCSV(tasks) {
+    const rows = tasks.map(task => EXPORT_COLUMNS.map(column => {
+        let value = task[column];
+        if (column === 'status') value = task.status || 'todo';
+        if (column === 'tags') value = formatTags(task.tags);
+        return value === null || value === undefined ? '' : value;
+    }));
+
+    return [EXPORT_COLUMNS, ...rows]
+        .map(row => row.map(escapeCell).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into a header row and data rows
+ * @param {string} text - CSV text
+ * @returns {Object} { headers: Array<string>, rows: Array<Array<string>> }
+ */
+export function parseCSV(text) {
+    const records = [];
+    let record = [];
+    let cell = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            // Quotes only open a quoted cell at its start; anywhere else they are plain text
+            quoted = true;
+        } else if (char === ',') {
+            record.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            record.push(cell);
+            records.push(record);
+            record = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || record.length > 0) {
+        record.push(cell);
+        records.push(record);
+    }
+
+    // Spreadsheets often leave blank lines at the end
+    const nonEmpty = records.filter(row => row.some(value => value.trim() !== ''));
+    const [headers = [], ...rows] = nonEmpty;
+
+    return { headers: headers.map(header => header.trim()), rows };
+}
+
+/**
+ * Guess which column feeds each task field from the header names
+ * @param {Array<string>} headers - CSV header row
+ * @returns {Object} Map of field -> column index (-1 when no column matches)
+ */
+export function guessColumnMapping(headers) {
+    const normalized = headers.map(header => header.toLowerCase().replace(/[^a-z]/g, ''));
+    const used = new Set();
+    const mapping = Object.fromEntries(CSV_FIELDS.map(field => [field, -1]));
+
+    // Exact names first, so "Due time" isn't taken as a due date just because it starts with "due"
+    [(header, hint) => header === hint, (header, hint) => header.startsWith(hint)].forEach(matches => {
+        CSV_FIELDS.filter(field => mapping[field] === -1).forEach(field => {
+            const index = normalized.findIndex((header, i) => {
+                return !used.has(i) && HEADER_HINTS[field].some(hint => matches(header, hint));
+            });
+            mapping[field] = index;
+            if (index !== -1) used.add(index);
+        });
+    });
+
+    return mapping;
+}
+
+/**
+ * Turn data rows into task data using a column mapping, validating each row
+ * @param {Array<Array<string>>} rows - CSV data rows
+ * @param {Object} mapping - Map of field -> column index
+ * @returns {Object} { valid: Array<Object>, invalid: Array<{ row, errors }> }
+ */
+export function mapRows(rows, mapping) {
+    const valid = [];
+    const invalid = [];
+
+    rows.forEach((row, index) => {
+        const taskData = {};
+        CSV_FIELDS.forEach(field => {
+            const column = mapping[field];
+            taskData[field] = column >= 0 && row[column] !== undefined ? unguardFormula(row[column].trim()) : '';
+        });
+        // Spreadsheets often separate tags with semicolons
+        taskData.tags = formatTags(parseTags(taskData.tags));
+
+        const validation = validateTask(taskData);
+        const status = parseStatus(taskData.status);
+        if (status === null) {
+            validation.valid = false;
+            validation.errors.status = `Use one of: ${TASK_STATUSES.join(', ')}`;
+        }
+        if (taskData.completedAt && Number.isNaN(Date.parse(taskData.completedAt))) {
+            validation.valid = false;
+            validation.errors.completedAt = 'Enter a date and time, e.g. 2025-10-01T14:30:00Z';
+        }
+
+        if (validation.valid) {
+            valid.push({
+                ...taskData,
+                duration: parseFloat(taskData.duration),
+                dueTime: taskData.dueTime || null,
+                status,
+                actualMinutes: taskData.actualMinutes ? parseFloat(taskData.actualMinutes) : null,
+                completedAt: taskData.completedAt ? new Date(taskData.completedAt).toISOString() : null
+            });
+        } else {
+            // Row numbers match the spreadsheet: the header is row 1
+            invalid.push({ row: index + 2, errors: validation.errors });
+        }
+    });
+
+    return { valid, invalid };
+}
+
+/**
+ * Drop the quote escapeCell() puts before formula-like text, so exports import back unchanged
+ */
+function unguardFormula(text) {
+    return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * Status from a cell: blank means to do; "In progress" and "in_progress" are accepted too
+ * @returns {string|null} Status, or null if it isn't one
+ */
+function parseStatus(value) {
+    if (!value) return 'todo';
+    const simplified = value.toLowerCase().replace(/[\s_-]/g, '');
+    return TASK_STATUSES.find(status => status.replace(/-/g, '') === simplified) || null;
+}
+
+function escapeCell(value) {
+    let text = String(value);
+    // Spreadsheets run text starting with these as a formula; a leading quote keeps it text
+    if (typeof value === 'string' && FORMULA_START.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
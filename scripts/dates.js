@@ -0,0 +1,188 @@
+// dates.js - Helpers for calendar dates stored as YYYY-MM-DD strings, and the time zone they are read in
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a YYYY-MM-DD string as midnight UTC
+ * @param {string} dateString - Date string
+ * @returns {Date} Date object
+ */
+export function parseDate(dateString) {
+    return new Date(dateString + 'T00:00:00Z');
+}
+
+/**
+ * Format a Date as YYYY-MM-DD
+ * @param {Date} date - Date object
+ * @returns {string} Date string
+ */
+export function toDateString(date) {
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Add whole days to a Date
+ * @param {Date} date - Date object
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date} New date
+ */
+export function addDays(date, days) {
+    return new Date(date.getTime() + days * DAY_MS);
+}
+
+/**
+ * Shift a date string by whole days
+ * @param {string} dateString - Date string
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Shifted date string
+ */
+export function shiftDate(dateString, days) {
+    return toDateString(addDays(parseDate(dateString), days));
+}
+
+/**
+ * Shift a date string by whole months, clamping to the end of shorter months
+ * @param {string} dateString - Date string
+ * @param {number} months - Months to add (may be negative)
+ * @returns {string} Shifted date string
+ */
+export function shiftMonth(dateString, months) {
+    const date = parseDate(dateString);
+    const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+    return toDateString(target);
+}
+
+/**
+ * Sunday on or before the given date
+ * @param {string} dateString - Date string
+ * @returns {string} Start of the week
+ */
+export function startOfWeek(dateString) {
+    return shiftDate(dateString, -parseDate(dateString).getUTCDay());
+}
+
+/**
+ * First day of the month containing the given date
+ * @param {string} dateString - Date string
+ * @returns {string} Start of the month
+ */
+export function startOfMonth(dateString) {
+    return dateString.slice(0, 8) + '01';
+}
+
+/**
+ * Time of day a task without a due time is due: the end of its due date
+ */
+export const END_OF_DAY = '23:59';
+
+// IANA zone used for "today" and due times; empty means the browser's own zone
+let timeZone = '';
+
+/**
+ * Whether a string names a time zone this browser knows
+ * @param {string} zone - IANA name, e.g. 'America/Chicago'
+ * @returns {boolean}
+ */
+export function isValidTimeZone(zone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: zone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Choose the time zone calendar dates are read in. Unknown names fall back to the browser's zone.
+ * @param {string} zone - IANA name, or '' for the browser's zone
+ */
+export function setTimeZone(zone) {
+    timeZone = zone && isValidTimeZone(zone) ? zone : '';
+}
+
+/**
+ * Time zone in use, resolved to an IANA name
+ * @returns {string}
+ */
+export function getTimeZone() {
+    return timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+/**
+ * Calendar date of a moment in the chosen time zone
+ * @param {number|Date} moment - ms timestamp or Date
+ * @returns {string} Date string
+ */
+export function toZonedDateString(moment) {
+    const parts = getZonedParts(new Date(moment));
+    return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * Wall-clock time of a moment in the chosen time zone
+ * @param {number|Date} moment - ms timestamp or Date
+ * @returns {string} HH:MM (24-hour)
+ */
+export function toZonedTimeString(moment) {
+    const parts = getZonedParts(new Date(moment));
+    return `${parts.hour}:${parts.minute}`;
+}
+
+/**
+ * Moment a wall-clock date and time in the chosen time zone happens
+ * @param {string} dateString - Date string
+ * @param {string} [time] - HH:MM, defaults to the end of the day
+ * @returns {number} ms timestamp
+ */
+export function zonedTimestamp(dateString, time = END_OF_DAY) {
+    const [hour, minute] = time.split(':').map(Number);
+    const wallClock = parseDate(dateString).getTime() + (hour * 60 + minute) * 60 * 1000;
+
+    // Correct by the zone's offset, then once more in case that lands across a DST change
+    const guess = wallClock - getZoneOffset(wallClock);
+    return wallClock - getZoneOffset(guess);
+}
+
+/**
+ * Moment a task is due: at its due time, or the end of its due date
+ * @param {Object} task - Task or occurrence with dueDate and optional dueTime
+ * @returns {number} ms timestamp
+ */
+export function getDeadline(task) {
+    return zonedTimestamp(task.dueDate, task.dueTime || END_OF_DAY);
+}
+
+/**
+ * Today's date string in the chosen time zone
+ * @returns {string} Date string
+ */
+export function today() {
+    return toZonedDateString(Date.now());
+}
+
+function getZonedParts(date) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: getTimeZone(),
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+
+    return Object.fromEntries(formatter.formatToParts(date)
+        .filter(part => part.type !== 'literal')
+        .map(part => [part.type, part.value]));
+}
+
+// How far the chosen zone's wall clock is ahead of UTC at a moment, in ms
+function getZoneOffset(ms) {
+    const parts = getZonedParts(new Date(ms));
+    const asUTC = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+        Number(parts.hour), Number(parts.minute), Number(parts.second));
+    return asUTC - Math.floor(ms / 1000) * 1000;
+}
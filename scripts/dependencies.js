@@ -0,0 +1,157 @@
+// dependencies.js - Prerequisites between tasks: blocked state, loops and dependency order
+
+import { getDeadline } from './dates.js';
+import { expandTask } from './recurrence.js';
+
+/**
+ * Prerequisite task IDs on a task; tasks without prerequisites have an empty list
+ * @param {Object} task - Task or occurrence
+ * @returns {Array<string>}
+ */
+export function getPrerequisiteIds(task) {
+    return Array.isArray(task.dependsOn) ? task.dependsOn : [];
+}
+
+/**
+ * ID a task is known by as a prerequisite. Occurrences count as their series.
+ * @param {Object} task - Task or occurrence
+ * @returns {string}
+ */
+export function getDependencyKey(task) {
+    return task.seriesId || task.id;
+}
+
+/**
+ * Check a task's prerequisites before saving
+ * @param {string|null} taskId - Saved task being edited, or null for a new task
+ * @param {Array<string>} dependsOn - Prerequisite IDs
+ * @param {Array} tasks - Saved tasks
+ * @returns {Object} { valid: boolean, message: string }
+ */
+export function validateDependencies(taskId, dependsOn, tasks) {
+    const byId = new Map(tasks.map(task => [task.id, task]));
+
+    if (taskId && dependsOn.includes(taskId)) {
+        return { valid: false, message: 'A task cannot be its own prerequisite' };
+    }
+    if (dependsOn.some(id => !byId.has(id))) {
+        return { valid: false, message: 'A prerequisite no longer exists. Pick again from the list' };
+    }
+
+    // A new task has nothing depending on it yet, so it can't close a loop
+    const cycle = taskId ? findCycle(taskId, dependsOn, byId) : null;
+    if (cycle) {
+        return {
+            valid: false,
+            message: `Prerequisites can't go in a circle: ${cycle.map(id => `"${byId.get(id).title}"`).join(' → ')}`
+        };
+    }
+
+    return { valid: true, message: '' };
+}
+
+/**
+ * First loop among saved tasks' prerequisites, e.g. in imported data
+ * @param {Array} tasks - Saved tasks
+ * @returns {Array<string>|null} Task IDs around the loop, starting and ending on the same task
+ */
+export function findAnyCycle(tasks) {
+    const byId = new Map(tasks.map(task => [task.id, task]));
+
+    for (const task of tasks) {
+        const cycle = findCycle(task.id, getPrerequisiteIds(task), byId);
+        if (cycle) return cycle;
+    }
+    return null;
+}
+
+/**
+ * Prerequisites of a task that aren't done yet. Deleted prerequisites don't block.
+ * A recurring prerequisite is judged by one occurrence: the last one due on or
+ * before the task, or its first one if none is due by then.
+ * @param {Object} task - Task or occurrence
+ * @param {Array} tasks - Saved tasks
+ * @returns {Array} Unfinished prerequisite tasks
+ */
+export function getBlockingTasks(task, tasks) {
+    const ids = getPrerequisiteIds(task);
+    return tasks.filter(other => ids.includes(other.id) && (getGoverningOccurrence(other, task).status || 'todo') !== 'done');
+}
+
+/**
+ * Prerequisites due after the task that needs them, so the order can't be kept
+ * @param {Object} task - Task or occurrence
+ * @param {Array} tasks - Saved tasks
+ * @returns {Array} Prerequisite tasks due too late
+ */
+export function getLatePrerequisites(task, tasks) {
+    const ids = getPrerequisiteIds(task);
+    const deadline = getDeadline(task);
+    return tasks.filter(other => ids.includes(other.id) && getDeadline(other) > deadline);
+}
+
+/**
+ * Order tasks so prerequisites come before the tasks that need them.
+ * Among tasks whose prerequisites are already placed, `compare` decides.
+ * Prerequisites outside the list don't affect the order.
+ * @param {Array} tasks - Tasks or occurrences
+ * @param {Function} compare - Tie-break, e.g. earliest due first
+ * @returns {Array} New sorted array
+ */
+export function sortByDependencies(tasks, compare) {
+    const remaining = [...tasks].sort(compare);
+    const waitingOn = task => getPrerequisiteIds(task).filter(id => id !== getDependencyKey(task));
+    const sorted = [];
+
+    while (remaining.length > 0) {
+        const unplaced = new Set(remaining.map(getDependencyKey));
+        const index = remaining.findIndex(task => waitingOn(task).every(id => !unplaced.has(id)));
+
+        // Only a loop leaves nothing ready; fall back to the tie-break order for the rest
+        if (index === -1) {
+            sorted.push(...remaining);
+            break;
+        }
+        sorted.push(...remaining.splice(index, 1));
+    }
+
+    return sorted;
+}
+
+/**
+ * Occurrence of a prerequisite whose status decides whether it blocks a task.
+ * Occurrence statuses live in the series' overrides, not on the series itself.
+ */
+function getGoverningOccurrence(prerequisite, task) {
+    if (!prerequisite.recurrence) return prerequisite;
+
+    const dueBefore = expandTask(prerequisite, task.dueDate)
+        .filter(occurrence => occurrence.occurrenceDate <= task.dueDate);
+    if (dueBefore.length > 0) return dueBefore[dueBefore.length - 1];
+    return expandTask(prerequisite)[0] || prerequisite;
+}
+
+/**
+ * Depth-first search from a task's prerequisites back to the task itself
+ */
+function findCycle(taskId, dependsOn, byId) {
+    const visited = new Set();
+
+    const walk = (id, path) => {
+        if (id === taskId) return [...path, id];
+        if (visited.has(id) || !byId.has(id)) return null;
+        visited.add(id);
+
+        for (const next of getPrerequisiteIds(byId.get(id))) {
+            const cycle = walk(next, [...path, id]);
+            if (cycle) return cycle;
+        }
+        return null;
+    };
+
+    for (const id of dependsOn) {
+        const cycle = walk(id, [taskId]);
+        if (cycle) return cycle;
+    }
+    return null;
+}
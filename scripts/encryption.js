@@ -0,0 +1,185 @@
+// encryption.js - Passphrase-encrypted backups: PBKDF2 key derivation and AES-GCM through WebCrypto
+
+const ENCRYPTED_FORMAT = 'campus-planner-encrypted';
+const FORMAT_VERSION = 1;
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// PBKDF2-SHA-256 work factor for new backups. Files record their own count;
+// anything above the ceiling is refused rather than left to hang the page.
+const ITERATIONS = 600000;
+const MAX_ITERATIONS = 10000000;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+/**
+ * Check a passphrase before encrypting with it
+ * @param {string} passphrase
+ * @param {string} confirmation - Same passphrase typed again
+ * @returns {Object} { valid: boolean, errors: { passphrase?, confirmation? } }
+ */
+export function validatePassphrase(passphrase, confirmation) {
+    const errors = {};
+
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        errors.passphrase = `Use at least ${MIN_PASSPHRASE_LENGTH} characters`;
+    } else if (passphrase !== confirmation) {
+        errors.confirmation = 'The passphrases don\'t match';
+    }
+
+    return { valid: Object.keys(errors).length === 0, errors };
+}
+
+/**
+ * Whether WebCrypto is available. Browsers only offer it on https and localhost.
+ * @returns {boolean}
+ */
+export function isEncryptionAvailable() {
+    return typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+}
+
+/**
+ * Whether some file text is an encrypted backup
+ * @param {string} text - File contents
+ * @returns {boolean}
+ */
+export function isEncryptedBackup(text) {
+    try {
+        const data = JSON.parse(text);
+        return Boolean(data) && data.format === ENCRYPTED_FORMAT;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Encrypt backup text with a passphrase. The file records everything needed to
+ * decrypt it except the passphrase: the salt, iteration count and IV.
+ * @param {string} plaintext - e.g. from exportToJSON()
+ * @param {string} passphrase
+ * @returns {Promise<string>} JSON text of the encrypted backup
+ */
+export async function encryptBackup(plaintext, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const header = {
+        format: ENCRYPTED_FORMAT,
+        version: FORMAT_VERSION,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: ITERATIONS, salt: toBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: toBase64(iv) }
+    };
+
+    const { key, check } = await deriveKey(passphrase, salt, ITERATIONS);
+    const ciphertext = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: getAdditionalData(header) },
+        key,
+        new TextEncoder().encode(plaintext)
+    );
+
+    return JSON.stringify({
+        ...header,
+        kdf: { ...header.kdf, check },
+        data: toBase64(new Uint8Array(ciphertext)),
+        encryptedAt: new Date().toISOString()
+    }, null, 2);
+}
+
+/**
+ * Decrypt an encrypted backup. A wrong passphrase and a changed file are told
+ * apart by the key check stored with the salt: it only matches the right passphrase.
+ * The salt and iteration count can't be authenticated before the key is derived
+ * from them, so an edit to either also fails the check and is reported with it.
+ * @param {string} text - JSON text of the encrypted backup
+ * @param {string} passphrase
+ * @returns {Promise<Object>} { success: true, text } or
+ *     { success: false, reason: 'format' | 'passphrase' | 'tampered', message }
+ */
+export async function decryptBackup(text, passphrase) {
+    let header;
+    let salt;
+    let iv;
+    let ciphertext;
+    try {
+        header = JSON.parse(text);
+        const { kdf, cipher } = header;
+        if (header.format !== ENCRYPTED_FORMAT) throw new Error('not an encrypted backup');
+        if (header.version > FORMAT_VERSION) throw new Error('made by a newer version of the planner');
+        if (kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || cipher.name !== 'AES-GCM') {
+            throw new Error('unsupported encryption');
+        }
+        if (!Number.isInteger(kdf.iterations) || kdf.iterations < 1 || kdf.iterations > MAX_ITERATIONS) {
+            throw new Error('unsupported key settings');
+        }
+        salt = fromBase64(kdf.salt);
+        iv = fromBase64(cipher.iv);
+        ciphertext = fromBase64(header.data);
+        if (typeof kdf.check !== 'string') throw new Error('missing key check');
+    } catch (error) {
+        return { success: false, reason: 'format', message: `This encrypted backup can't be read: ${error.message}` };
+    }
+
+    const { key, check } = await deriveKey(passphrase, salt, header.kdf.iterations);
+    if (check !== header.kdf.check) {
+        return {
+            success: false,
+            reason: 'passphrase',
+            message: 'Wrong passphrase, or the backup\'s key settings were changed. Check the passphrase and try again.'
+        };
+    }
+
+    try {
+        const plaintext = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv, additionalData: getAdditionalData(header) },
+            key,
+            ciphertext
+        );
+        return { success: true, text: new TextDecoder().decode(plaintext) };
+    } catch (error) {
+        // Right passphrase but the contents don't authenticate: the file was edited or damaged
+        return {
+            success: false,
+            reason: 'tampered',
+            message: 'This backup has been changed or damaged since it was exported, so it can\'t be trusted.'
+        };
+    }
+}
+
+/**
+ * Stretch the passphrase into 64 bytes: the first half is the AES key,
+ * the hash of the second half is stored to recognise the right passphrase
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+    const bits = new Uint8Array(await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        512
+    ));
+
+    const key = await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    const check = toBase64(new Uint8Array(await crypto.subtle.digest('SHA-256', bits.slice(32))));
+    return { key, check };
+}
+
+/**
+ * Header fields the ciphertext is bound to, so editing them is caught as tampering
+ */
+function getAdditionalData(header) {
+    const { kdf, cipher } = header;
+    return new TextEncoder().encode([header.format, header.version, kdf.name, kdf.hash, kdf.iterations, kdf.salt, cipher.name, cipher.iv].join('|'));
+}
+
+function toBase64(bytes) {
+    let binary = '';
+    // In chunks: spreading a large backup into one call overflows the stack
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    if (typeof text !== 'string') throw new Error('missing data');
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
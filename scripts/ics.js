@@ -0,0 +1,466 @@
+// ics.js - iCalendar (RFC 5545) export and import
+
+import { validateTask, validateRecurrence } from './validators.js';
+import { shiftDate, parseDate, getDeadline, zonedTimestamp, toZonedDateString, toZonedTimeString } from './dates.js';
+import { parseTags, formatTags } from './tags.js';
+
+const PRODUCT_ID = '-//Campus Life Planner//Tasks//EN';
+const UID_DOMAIN = '@campus-planner';
+
+// Planned minutes travel in this extension property; all-day entries can't carry
+// a minute DURATION under RFC 5545
+const DURATION_PROPERTY = 'X-CAMPUS-DURATION';
+
+// Used when an imported entry says nothing about how long it takes
+const DEFAULT_IMPORT_MINUTES = 60;
+
+const BYDAY = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const STATUS_TO_ICS = { 'todo': 'NEEDS-ACTION', 'in-progress': 'IN-PROCESS', 'done': 'COMPLETED' };
+
+const STATUS_FROM_ICS = { 'NEEDS-ACTION': 'todo', 'IN-PROCESS': 'in-progress', 'COMPLETED': 'done' };
+
+/**
+ * Export tasks as an iCalendar file
+ * @param {Array} tasks - Tasks (recurring series are written once with an RRULE)
+ * @param {string} component - 'VEVENT' (all-day events) or 'VTODO' (to-dos)
+ * @returns {string} iCalendar text
+ */
+export function exportToICS(tasks, component = 'VEVENT') {
+    const stamp = formatDateTime(new Date().toISOString());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN'
+    ];
+
+    tasks.forEach(task => {
+        lines.push(`BEGIN:${component}`);
+        lines.push(`UID:${task.id}${UID_DOMAIN}`);
+        lines.push(`DTSTAMP:${stamp}`);
+        lines.push(`SUMMARY:${escapeText(task.title)}`);
+        if (task.tags && task.tags.length > 0) {
+            lines.push(`CATEGORIES:${task.tags.map(escapeText).join(',')}`);
+        }
+
+        // Tasks with a due time are written as UTC date-times; the rest stay all-day
+        const due = task.dueTime ? formatMoment(getDeadline(task)) : null;
+
+        if (component === 'VTODO') {
+            lines.push(due ? `DUE:${due}` : `DUE;VALUE=DATE:${formatDate(task.dueDate)}`);
+            lines.push(`STATUS:${STATUS_TO_ICS[task.status] || STATUS_TO_ICS.todo}`);
+            if (task.status === 'done' && task.completedAt) {
+                lines.push(`COMPLETED:${formatDateTime(task.completedAt)}`);
+            }
+        } else if (due) {
+            lines.push(`DTSTART:${due}`);
+            lines.push('TRANSP:TRANSPARENT');
+        } else {
+            lines.push(`DTSTART;VALUE=DATE:${formatDate(task.dueDate)}`);
+            lines.push(`DTEND;VALUE=DATE:${formatDate(shiftDate(task.dueDate, 1))}`);
+            lines.push('TRANSP:TRANSPARENT');
+        }
+
+        lines.push(`${DURATION_PROPERTY}:${formatDuration(task.duration)}`);
+        lines.push(`DESCRIPTION:${escapeText(`Planned time: ${task.duration} minutes`)}`);
+
+        if (task.recurrence) {
+            lines.push(`RRULE:${formatRule(task.recurrence)}`);
+            (task.exdates || []).forEach(date => {
+                lines.push(task.dueTime
+                    ? `EXDATE:${formatMoment(zonedTimestamp(date, task.dueTime))}`
+                    : `EXDATE;VALUE=DATE:${formatDate(date)}`);
+            });
+        }
+
+        if (task.createdAt) lines.push(`CREATED:${formatDateTime(task.createdAt)}`);
+        if (task.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(task.updatedAt)}`);
+        lines.push(`END:${component}`);
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Import VEVENT and VTODO entries as tasks
+ * @param {string} text - iCalendar text
+ * @returns {Object} { success, data, errors } - data holds every entry that mapped cleanly
+ */
+export function importFromICS(text) {
+    const lines = unfoldLines(text);
+
+    if (lines[0] !== 'BEGIN:VCALENDAR') {
+        return { success: false, data: null, errors: ['Not an iCalendar file (missing BEGIN:VCALENDAR)'] };
+    }
+
+    const entries = collectEntries(lines);
+    const data = [];
+    const errors = [];
+
+    if (entries.length === 0) {
+        errors.push('No events or to-dos found');
+    }
+
+    entries.forEach((entry, index) => {
+        const label = `Entry ${index + 1}${entry.SUMMARY ? ` (${entry.SUMMARY.value})` : ''}`;
+        const result = entryToTask(entry);
+
+        if (result.errors.length > 0) {
+            result.errors.forEach(message => errors.push(`${label}: ${message}`));
+        } else {
+            data.push(result.task);
+        }
+    });
+
+    return {
+        success: errors.length === 0,
+        data,
+        errors
+    };
+}
+
+/**
+ * Lay an imported entry over the matching local task, keeping what iCalendar
+ * doesn't carry (focus sessions, actual time, per-occurrence edits)
+ * @param {Object|null} existing - Local task with the same ID, if any
+ * @param {Object} task - Task from importFromICS()
+ * @returns {Object} Task to merge
+ */
+export function applyCalendarEntry(existing, task) {
+    if (!existing) return task;
+    return { ...existing, ...task, createdAt: existing.createdAt };
+}
+
+/**
+ * Check whether text looks like an iCalendar file
+ * @param {string} text - File contents
+ * @returns {boolean}
+ */
+export function isICS(text) {
+    return /^\s*BEGIN:VCALENDAR/i.test(text);
+}
+
+function entryToTask(entry) {
+    const errors = [];
+    const now = new Date().toISOString();
+
+    const dateProp = entry.DUE || entry.DTSTART;
+    if (!entry.UID) errors.push('missing UID');
+    if (!entry.SUMMARY) errors.push('missing SUMMARY');
+    if (!dateProp) errors.push('missing DUE or DTSTART');
+    if (errors.length > 0) return { task: null, errors };
+
+    const dueDate = parseDateValue(dateProp.value);
+    const duration = getEntryMinutes(entry);
+    const task = {
+        id: toTaskId(entry.UID.value),
+        title: entry.SUMMARY.value.replace(/\s+/g, ' ').trim(),
+        duration,
+        dueDate,
+        dueTime: parseTimeValue(dateProp.value),
+        tags: cleanTags(entry.CATEGORIES ? entry.CATEGORIES.values : []),
+        recurrence: null,
+        createdAt: entry.CREATED ? parseDateTimeValue(entry.CREATED.value) : now,
+        updatedAt: getRevisionTime(entry) || now
+    };
+
+    // Only VTODOs say anything about progress; leave it alone otherwise
+    if (entry.STATUS && entry.STATUS.value in STATUS_FROM_ICS) {
+        task.status = STATUS_FROM_ICS[entry.STATUS.value];
+        task.completedAt = entry.COMPLETED ? parseDateTimeValue(entry.COMPLETED.value) : null;
+    }
+
+    if (entry.RRULE) {
+        task.recurrence = parseRule(entry.RRULE.value, dueDate);
+        if (!task.recurrence) {
+            errors.push(`unsupported repeat rule "${entry.RRULE.value}"`);
+        } else {
+            const ruleCheck = validateRecurrence(task.recurrence, dueDate);
+            if (!ruleCheck.valid) errors.push(ruleCheck.message);
+        }
+        if (entry.EXDATE) task.exdates = entry.EXDATE.values.map(parseDateValue);
+    }
+
+    const validation = validateTask({ ...task, duration: String(duration), tags: formatTags(task.tags), recurrence: null });
+    Object.entries(validation.errors).forEach(([field, message]) => {
+        errors.push(`${field}: ${message}`);
+    });
+
+    return { task, errors };
+}
+
+/**
+ * When the entry was last revised, so a re-import doesn't look newer than local
+ * edits just because it happened later. Without LAST-MODIFIED, DTSTAMP is the
+ * revision time in a plain calendar file, and CREATED is the last resort.
+ * @returns {string|null} ISO timestamp, or null if the entry has none
+ */
+function getRevisionTime(entry) {
+    const property = entry['LAST-MODIFIED'] || entry.DTSTAMP || entry.CREATED;
+    return property ? parseDateTimeValue(property.value) : null;
+}
+
+/**
+ * Group property lines into one object per VEVENT / VTODO
+ */
+function collectEntries(lines) {
+    const entries = [];
+    let current = null;
+    let depth = 0;
+
+    lines.forEach(line => {
+        if (line === 'BEGIN:VEVENT' || line === 'BEGIN:VTODO') {
+            current = {};
+            depth = 0;
+            return;
+        }
+        if (!current) return;
+
+        if (line === 'END:VEVENT' || line === 'END:VTODO') {
+            entries.push(current);
+            current = null;
+            return;
+        }
+
+        // Skip nested components such as VALARM
+        if (line.startsWith('BEGIN:')) depth++;
+        if (line.startsWith('END:')) depth--;
+        if (depth > 0 || line.startsWith('END:')) return;
+
+        const property = parseProperty(line);
+        if (!property) return;
+
+        if (current[property.name]) {
+            current[property.name].values.push(...property.values);
+        } else {
+            current[property.name] = property;
+        }
+    });
+
+    return entries;
+}
+
+function parseProperty(line) {
+    const colon = findValueSeparator(line);
+    if (colon === -1) return null;
+
+    const [name, ...params] = line.slice(0, colon).split(';');
+    const raw = line.slice(colon + 1);
+    const value = unescapeText(raw);
+
+    return {
+        name: name.toUpperCase(),
+        params,
+        value,
+        values: splitValues(raw).map(unescapeText)
+    };
+}
+
+// List values are separated by commas, except escaped ones ("\,") inside a value
+function splitValues(raw) {
+    const values = [''];
+    for (let i = 0; i < raw.length; i++) {
+        if (raw[i] === '\\') {
+            values[values.length - 1] += raw.slice(i, i + 2);
+            i++;
+        } else if (raw[i] === ',') {
+            values.push('');
+        } else {
+            values[values.length - 1] += raw[i];
+        }
+    }
+    return values;
+}
+
+// The name/value colon is the first one outside a quoted parameter value
+function findValueSeparator(line) {
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') quoted = !quoted;
+        if (line[i] === ':' && !quoted) return i;
+    }
+    return -1;
+}
+
+function getEntryMinutes(entry) {
+    if (entry[DURATION_PROPERTY]) return parseDuration(entry[DURATION_PROPERTY].value);
+    if (entry.DURATION) return parseDuration(entry.DURATION.value);
+
+    // Timed events: length is DTEND - DTSTART
+    if (entry.DTSTART && entry.DTEND && entry.DTSTART.value.includes('T')) {
+        const start = Date.parse(parseDateTimeValue(entry.DTSTART.value));
+        const end = Date.parse(parseDateTimeValue(entry.DTEND.value));
+        if (end > start) return Math.round((end - start) / 60000);
+    }
+
+    return DEFAULT_IMPORT_MINUTES;
+}
+
+function formatRule(rule) {
+    const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.frequency === 'weekly' && rule.weekdays.length) {
+        parts.push(`BYDAY=${rule.weekdays.map(day => BYDAY[day]).join(',')}`);
+    }
+    if (rule.until) parts.push(`UNTIL=${formatDate(rule.until)}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    return parts.join(';');
+}
+
+/**
+ * Map an RRULE onto the planner's rule shape, or null if it uses features we don't support.
+ * A weekly rule without BYDAY repeats on the weekday the series starts on (RFC 5545).
+ */
+function parseRule(value, startDate) {
+    const parts = Object.fromEntries(value.split(';').map(part => part.split('=')));
+    const frequency = (parts.FREQ || '').toLowerCase();
+    const supported = ['FREQ', 'INTERVAL', 'BYDAY', 'UNTIL', 'COUNT', 'WKST'];
+
+    if (!['daily', 'weekly', 'monthly'].includes(frequency)) return null;
+    if (Object.keys(parts).some(key => !supported.includes(key))) return null;
+
+    let weekdays = [];
+    if (parts.BYDAY) {
+        if (frequency !== 'weekly') return null;
+        weekdays = parts.BYDAY.split(',').map(day => BYDAY.indexOf(day));
+        // Ordinals like "2MO" have no equivalent here
+        if (weekdays.includes(-1)) return null;
+    } else if (frequency === 'weekly') {
+        weekdays = [parseDate(startDate).getUTCDay()];
+    }
+
+    return {
+        frequency,
+        interval: parts.INTERVAL ? parseInt(parts.INTERVAL, 10) : 1,
+        weekdays,
+        until: parts.UNTIL ? parseDateValue(parts.UNTIL) : null,
+        count: parts.COUNT ? parseInt(parts.COUNT, 10) : null
+    };
+}
+
+function formatDate(dateString) {
+    return dateString.replace(/-/g, '');
+}
+
+function formatDateTime(isoString) {
+    return isoString.replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatMoment(ms) {
+    return formatDateTime(new Date(ms).toISOString());
+}
+
+/**
+ * Calendar date of a DATE or DATE-TIME value. UTC times are read in the chosen time zone;
+ * floating and TZID times keep the date as written.
+ */
+function parseDateValue(value) {
+    if (value.endsWith('Z')) return toZonedDateString(Date.parse(parseDateTimeValue(value)));
+    return `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+}
+
+/**
+ * Time of day of a DATE-TIME value as HH:MM, or null for an all-day DATE
+ */
+function parseTimeValue(value) {
+    if (!value.includes('T')) return null;
+    if (value.endsWith('Z')) return toZonedTimeString(Date.parse(parseDateTimeValue(value)));
+    return `${value.slice(9, 11)}:${value.slice(11, 13)}`;
+}
+
+function parseDateTimeValue(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/.exec(value);
+    if (!match) return new Date().toISOString();
+
+    const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
+    return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`).toISOString();
+}
+
+function formatDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = Math.round(minutes % 60);
+    return 'PT' + (hours ? `${hours}H` : '') + (rest || !hours ? `${rest}M` : '');
+}
+
+function parseDuration(value) {
+    const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value);
+    if (!match) return DEFAULT_IMPORT_MINUTES;
+
+    const [, weeks = 0, days = 0, hours = 0, minutes = 0] = match.map(part => Number(part) || 0);
+    return weeks * 10080 + days * 1440 + hours * 60 + minutes;
+}
+
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(text) {
+    return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Categories become tags once reduced to letters, spaces and hyphens
+function cleanTags(categories) {
+    const tags = parseTags(categories
+        .map(text => text
+            .replace(/[^A-Za-z -]/g, ' ')
+            .replace(/\s*-[\s-]*/g, '-')
+            .replace(/\s+/g, ' ')
+            .replace(/^[ -]+|[ -]+$/g, ''))
+        .join(','));
+    return tags.length > 0 ? tags : ['Imported'];
+}
+
+/**
+ * Stable task ID from a UID, so re-importing the same calendar updates tasks
+ * instead of duplicating them
+ */
+function toTaskId(uid) {
+    if (uid.endsWith(UID_DOMAIN)) return uid.slice(0, -UID_DOMAIN.length);
+
+    let hash = 5381;
+    for (let i = 0; i < uid.length; i++) {
+        hash = ((hash * 33) ^ uid.charCodeAt(i)) >>> 0;
+    }
+    return `task_ics_${hash.toString(36)}`;
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space.
+// Octets are UTF-8 bytes, and a character is never split across lines.
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+        const code = char.codePointAt(0);
+        const size = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+        // A continuation line's leading space counts towards its 75
+        const limit = parts.length === 0 ? 75 : 74;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function unfoldLines(text) {
+    return text
+        .replace(/^\uFEFF/, '')
+        .replace(/\r\n/g, '\n')
+        .replace(/\n[ \t]/g, '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+}
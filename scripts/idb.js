@@ -0,0 +1,154 @@
+// idb.js - IndexedDB task backend with per-record writes
+
+const DB_NAME = 'campus-planner';
+const DB_VERSION = 1;
+const TASK_STORE = 'tasks';
+const META_STORE = 'meta';
+const SCHEMA_KEY = 'schema';
+
+/**
+ * Whether this browser offers IndexedDB
+ * @returns {boolean}
+ */
+export function isIndexedDBAvailable() {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+/**
+ * Open the database and read every task into memory so reads stay synchronous.
+ * Writes only touch the records that changed since the last successful save.
+ * @returns {Promise<Object>} Backend { name, readTasks, writeTasks, adoptTasks, clearTasks }
+ */
+export async function openIndexedDBBackend() {
+    const db = await openDatabase();
+    const [records, schema] = await Promise.all([
+        request(db.transaction(TASK_STORE).objectStore(TASK_STORE).getAll()),
+        request(db.transaction(META_STORE).objectStore(META_STORE).get(SCHEMA_KEY))
+    ]);
+
+    // Records come back in key order; the saved order list restores the user's order
+    const position = new Map((schema ? schema.order : []).map((id, index) => [id, index]));
+    records.sort((a, b) => (position.has(a.id) ? position.get(a.id) : Infinity) -
+        (position.has(b.id) ? position.get(b.id) : Infinity));
+
+    let data = schema ? { version: schema.version, tasks: records } : null;
+    let saved = {
+        records: new Map(records.map(task => [task.id, JSON.stringify(task)])),
+        version: schema ? schema.version : null,
+        order: schema ? schema.order.join('\n') : ''
+    };
+    // Bumped when another tab's save is adopted, so a write of ours finishing
+    // afterwards doesn't put back the older snapshot
+    let adoptions = 0;
+
+    return {
+        name: 'IndexedDB',
+
+        readTasks() {
+            return data;
+        },
+
+        /**
+         * Save a versioned envelope, writing only changed records
+         * @param {Object} envelope - { version, tasks }
+         * @returns {Promise} Resolves when the transaction commits
+         */
+        writeTasks(envelope) {
+            const { version, tasks } = envelope;
+            const next = new Map(tasks.map(task => [task.id, JSON.stringify(task)]));
+            const order = tasks.map(task => task.id).join('\n');
+            const puts = tasks.filter(task => saved.records.get(task.id) !== next.get(task.id));
+            const deletes = [...saved.records.keys()].filter(id => !next.has(id));
+            const metaChanged = version !== saved.version || order !== saved.order;
+            const adoptionsBefore = adoptions;
+
+            data = envelope;
+
+            if (puts.length === 0 && deletes.length === 0 && !metaChanged) {
+                return Promise.resolve();
+            }
+
+            const tx = db.transaction([TASK_STORE, META_STORE], 'readwrite');
+            const done = complete(tx);
+            try {
+                const store = tx.objectStore(TASK_STORE);
+                puts.forEach(task => store.put(task));
+                deletes.forEach(id => store.delete(id));
+                if (metaChanged) {
+                    tx.objectStore(META_STORE).put({ key: SCHEMA_KEY, version, order: tasks.map(task => task.id) });
+                }
+            } catch (error) {
+                // All or nothing: don't leave half the records written
+                tx.abort();
+                done.catch(() => {});
+                return Promise.reject(error);
+            }
+
+            return done.then(() => {
+                if (adoptions === adoptionsBefore) saved = { records: next, version, order };
+            });
+        },
+
+        /**
+         * Take in tasks another tab saved to the same database, so the next
+         * write is worked out against what is stored rather than our last save
+         * @param {Object} envelope - { version, tasks } as the other tab wrote it
+         */
+        adoptTasks(envelope) {
+            const { version, tasks } = envelope;
+            data = envelope;
+            saved = {
+                records: new Map(tasks.map(task => [task.id, JSON.stringify(task)])),
+                version,
+                order: tasks.map(task => task.id).join('\n')
+            };
+            adoptions++;
+        },
+
+        clearTasks() {
+            const tx = db.transaction([TASK_STORE, META_STORE], 'readwrite');
+            tx.objectStore(TASK_STORE).clear();
+            tx.objectStore(META_STORE).delete(SCHEMA_KEY);
+            data = null;
+
+            return complete(tx).then(() => {
+                saved = { records: new Map(), version: null, order: '' };
+                adoptions++;
+            });
+        }
+    };
+}
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const open = indexedDB.open(DB_NAME, DB_VERSION);
+
+        open.onupgradeneeded = () => {
+            const db = open.result;
+            if (!db.objectStoreNames.contains(TASK_STORE)) {
+                db.createObjectStore(TASK_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(META_STORE)) {
+                db.createObjectStore(META_STORE, { keyPath: 'key' });
+            }
+        };
+        open.onsuccess = () => resolve(open.result);
+        open.onerror = () => reject(open.error);
+        open.onblocked = () => reject(new Error('Database is blocked by another open tab'));
+    });
+}
+
+function request(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+function complete(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
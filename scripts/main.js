@@ -2,22 +2,51 @@
 
 import * as state from './state.js';
 import * as ui from './ui.js';
-import { validateField, validateTask, compileRegex } from './validators.js';
-import { exportToJSON, importFromJSON, clearAllData } from './Storage.js';
+import { validateField, validateTask, validateCourse } from './validators.js';
+import { initStorage, getStorageBackendName, onSaveError, exportToJSON, importFromJSON, clearAllData, getLoadError, readBackup,
+         exportToEncryptedJSON, importFromEncryptedJSON } from './Storage.js';
+import * as timer from './timer.js';
+import * as calendar from './calendar.js';
+import { exportToICS, importFromICS, isICS, applyCalendarEntry } from './ics.js';
+import { exportToCSV, parseCSV, guessColumnMapping, mapRows } from './csv.js';
+import { diffTasks, applyMerge } from './merge.js';
+import { shiftDate, startOfWeek, today } from './dates.js';
+import { parseTags } from './tags.js';
+import { parseQuery, describeQuery } from './query.js';
+import * as reminders from './reminders.js';
+import { validateSlot } from './timetable.js';
+import * as pwa from './pwa.js';
+import { initSync } from './sync.js';
+import { validatePassphrase, isEncryptionAvailable } from './encryption.js';
 
 /**
  * Initialize the application
  */
-function init() {
+async function init() {
+    await initStorage();         // pick IndexedDB or localStorage
     state.initState();           // load state
+    setupStorageAlert();         // load/save problems
     setupNavigation();           // nav links
     setupForm();                 // task form
     setupTaskActions();          // edit/delete
     setupSearch();               // regex search
     setupSorting();              // sort select
+    setupSavedSearches();        // smart lists
     setupSettings();             // settings, import/export
+    setupEncryptedBackups();     // passphrase export and import
+    setupCsv();                  // CSV export, import preview
     setupCapControls();          // weekly cap
     setupKeyboardShortcuts();    // escape cancel
+    setupTimer();                // focus timer
+    setupCalendar();             // calendar views, drag to reschedule
+    setupTagManager();           // rename, merge, recolour, delete tags
+    setupCourses();              // course list, form and task filter
+    setupReminders();            // deadline reminders and notifications
+    setupPlanner();              // availability and auto-planning
+    setupTimetable();            // blocked slots and study windows
+    setupAnalytics();            // range picker for trends
+    setupOfflineSupport();       // service worker, update prompt
+    setupSync();                 // changes from other tabs
 
     // Initial render
     ui.showPage('dashboard');
@@ -25,6 +54,35 @@ function init() {
     ui.renderTasks();
 }
 
+/**
+ * Warn when saved tasks couldn't be loaded, and offer the raw backup
+ */
+function setupStorageAlert() {
+    const error = getLoadError();
+
+    document.getElementById('storage-alert-close').addEventListener('click', ui.hideStorageAlert);
+    document.getElementById('storage-backup-btn').addEventListener('click', () => {
+        const data = error && error.backupKey ? readBackup(error.backupKey) : null;
+        if (data) downloadFile(data, 'application/json', 'backup.json');
+    });
+
+    document.getElementById('storage-backend').textContent = getStorageBackendName();
+
+    onSaveError(saveError => {
+        const reason = saveError && saveError.name === 'QuotaExceededError'
+            ? 'storage is full'
+            : (saveError && saveError.message) || 'unknown error';
+        ui.showStorageAlert(`Your latest changes could not be saved (${reason}). They will be lost when this page closes; export your tasks from Settings to keep a copy.`);
+    });
+
+    if (!error) return;
+
+    ui.showStorageAlert(error.backupKey
+        ? `Your saved tasks could not be loaded (${error.message}). A copy of the original data was kept; download it before making changes.`
+        : `Your saved tasks could not be loaded (${error.message}).`,
+        Boolean(error.backupKey));
+}
+
 /**
  * Navigation handler
  */
@@ -38,6 +96,10 @@ function setupNavigation() {
 
             if (page === 'dashboard') ui.renderStats();
             if (page === 'tasks') ui.renderTasks();
+            if (page === 'calendar') calendar.renderCalendar();
+            if (page === 'tags') ui.renderTagManager();
+            if (page === 'planner') ui.renderPlanner();
+            if (page === 'analytics') ui.renderAnalytics();
             if (page === 'add-task') ui.resetForm();
         });
     });
@@ -49,7 +111,7 @@ function setupNavigation() {
 function setupForm() {
     const form = document.getElementById('task-form');
     const cancelBtn = document.getElementById('cancel-btn');
-    const fields = ['title', 'duration', 'date', 'tag'];
+    const fields = ['title', 'duration', 'date', 'tags'];
 
     // Real-time validation
     fields.forEach(name => {
@@ -58,12 +120,102 @@ function setupForm() {
         input.addEventListener('input', () => ui.clearFieldError(`task-${name}`));
     });
 
+    document.getElementById('task-date').addEventListener('input', e => ui.updateDateWarning(e.target.value.trim()));
+
+    // Prerequisites due after this task are flagged as the dates or picks change
+    ['task-date', 'task-time'].forEach(id => {
+        document.getElementById(id).addEventListener('input', ui.updateDependencyWarning);
+    });
+    document.getElementById('task-depends').addEventListener('change', () => {
+        ui.clearFieldError('task-depends');
+        ui.updateDependencyWarning();
+    });
+
+    // Optional fields are checked on submit; typing clears their errors
+    ['time', 'reminders'].forEach(name => {
+        document.getElementById(`task-${name}`).addEventListener('input', () => ui.clearFieldError(`task-${name}`));
+    });
+
+    // Repeat options follow the selected frequency
+    document.getElementById('task-recurrence').addEventListener('change', () => {
+        ui.updateRecurrenceOptions();
+        ui.clearFieldError('task-recurrence');
+    });
+
+    // Checklist editor: add, reorder and remove steps; step minutes drive the duration
+    const subtaskList = document.getElementById('task-subtasks');
+    const addSubtaskBtn = document.getElementById('add-subtask-btn');
+    addSubtaskBtn.addEventListener('click', ui.addSubtaskRow);
+    subtaskList.addEventListener('input', () => {
+        ui.clearFieldError('task-subtasks');
+        ui.updateDurationFromSubtasks();
+    });
+    subtaskList.addEventListener('click', e => {
+        const row = e.target.closest('.subtask-row');
+        if (!row) return;
+
+        if (e.target.classList.contains('subtask-remove')) {
+            row.remove();
+            ui.updateDurationFromSubtasks();
+            addSubtaskBtn.focus();
+        }
+
+        if (e.target.classList.contains('subtask-move')) {
+            const up = e.target.dataset.move === '-1';
+            const neighbour = up ? row.previousElementSibling : row.nextElementSibling;
+            if (!neighbour) return;
+            subtaskList.insertBefore(up ? row : neighbour, up ? neighbour : row);
+            e.target.focus();
+        }
+    });
+
+    // Switching scope shows either the occurrence or the series being edited
+    document.querySelectorAll('input[name="edit-scope"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            const occurrence = state.getTaskById(state.getEditingTaskId());
+            if (!occurrence) return;
+            ui.clearAllFormErrors();
+            if (radio.value === 'series') {
+                ui.populateForm(state.getTaskById(occurrence.seriesId), 'series');
+            } else {
+                ui.populateForm(occurrence, 'occurrence');
+            }
+        });
+    });
+
     // Submit
     form.addEventListener('submit', e => {
         e.preventDefault();
         handleFormSubmit();
     });
 
+    // Another tab saved over the task being edited: reload it, or keep what's typed
+    document.getElementById('conflict-load-btn').addEventListener('click', () => {
+        const deleted = state.getEditingConflict() === 'deleted';
+        state.resolveEditingConflict();
+
+        if (deleted) {
+            cancelBtn.click();
+            return;
+        }
+
+        const task = state.getTaskById(state.getEditingTaskId());
+        const scope = getEditScope();
+        ui.clearAllFormErrors();
+        ui.populateForm(scope === 'series' ? state.getTaskById(task.seriesId) : task, scope);
+        document.getElementById('task-title').focus();
+    });
+    document.getElementById('conflict-keep-btn').addEventListener('click', () => {
+        if (state.getEditingConflict() === 'deleted') {
+            state.setEditingTaskId(null);
+            ui.detachForm();
+        } else {
+            state.resolveEditingConflict();
+        }
+        ui.hideFormConflict();
+        document.getElementById('task-title').focus();
+    });
+
     // Cancel
     cancelBtn.addEventListener('click', () => {
         ui.resetForm();
@@ -90,38 +242,82 @@ function validateFormField(name) {
     return true;
 }
 
+// Validation error keys whose input IDs don't follow task-<field>
+const FIELD_IDS = {
+    dueDate: 'task-date',
+    dueTime: 'task-time',
+    actualMinutes: 'task-actual',
+    dependsOn: 'task-depends'
+};
+
 /**
  * Handle form submission (add/update task)
  */
 function handleFormSubmit() {
+    // Saving now would overwrite the other tab's change without a choice being made
+    if (state.getEditingConflict()) {
+        ui.showFormConflict(state.getEditingConflict());
+        document.getElementById('conflict-load-btn').focus();
+        return;
+    }
+
     ui.clearAllFormErrors();
 
+    const scope = getEditScope();
     const taskData = {
         title: document.getElementById('task-title').value.trim(),
         duration: document.getElementById('task-duration').value.trim(),
         dueDate: document.getElementById('task-date').value,
-        tag: document.getElementById('task-tag').value.trim()
+        dueTime: document.getElementById('task-time').value.trim() || null,
+        tags: document.getElementById('task-tags').value.trim(),
+        courseId: document.getElementById('task-course').value || null,
+        priority: document.getElementById('task-priority').value,
+        reminders: document.getElementById('task-reminders').value.trim(),
+        actualMinutes: document.getElementById('task-actual').value.trim(),
+        subtasks: getSubtasksFromForm(),
+        dependsOn: [...document.getElementById('task-depends').selectedOptions].map(option => option.value),
+        recurrence: scope === 'occurrence' ? null : getRecurrenceFromForm()
     };
 
+    const editingId = state.getEditingTaskId();
     const validation = validateTask(taskData);
+
+    // Loops need the other saved tasks, so prerequisites are checked here. A single
+    // occurrence shares its series' prerequisites and can't change them
+    if (scope !== 'occurrence') {
+        const savedId = scope === 'series' ? state.getTaskById(editingId).seriesId : editingId;
+        const dependencies = state.checkDependencies(savedId || null, taskData.dependsOn);
+        if (!dependencies.valid) {
+            validation.valid = false;
+            validation.errors.dependsOn = dependencies.message;
+        }
+    }
+
     if (!validation.valid) {
         Object.entries(validation.errors).forEach(([field, msg]) => {
-            const fieldId = `task-${field === 'dueDate' ? 'date' : field}`;
-            ui.showFieldError(fieldId, msg);
+            ui.showFieldError(FIELD_IDS[field] || `task-${field}`, msg);
         });
         return;
     }
 
-    const editingId = state.getEditingTaskId();
+    const actualMinutes = taskData.actualMinutes ? parseFloat(taskData.actualMinutes) : null;
+    // Empty means "use the default", kept as null so later default changes apply
+    const taskReminders = taskData.reminders ? reminders.parseReminderOffsets(taskData.reminders) : null;
     if (editingId) {
-        state.updateTask(editingId, { 
-            ...taskData, 
-            duration: parseFloat(taskData.duration) 
-        });
-        ui.showStatus('search-status', 'Task updated successfully!', 'success');
+        const updates = { ...taskData, duration: parseFloat(taskData.duration), tags: parseTags(taskData.tags), reminders: taskReminders, actualMinutes };
+        if (scope === 'occurrence') {
+            delete updates.recurrence;
+            delete updates.dependsOn;
+            state.updateTask(editingId, updates);
+        } else if (scope === 'series') {
+            state.updateTask(state.getTaskById(editingId).seriesId, updates);
+        } else {
+            state.updateTask(editingId, updates);
+        }
+        showUndoable('search-status', 'Task updated successfully!');
     } else {
-        state.addTask({ ...taskData, duration: parseFloat(taskData.duration) });
-        ui.showStatus('search-status', 'Task added successfully!', 'success');
+        state.addTask({ ...taskData, duration: parseFloat(taskData.duration), reminders: taskReminders, actualMinutes });
+        showUndoable('search-status', 'Task added successfully!');
     }
 
     ui.resetForm();
@@ -132,7 +328,50 @@ function handleFormSubmit() {
 }
 
 /**
- * Setup task edit/delete buttons
+ * Read the repeat controls into a recurrence rule (null when not repeating)
+ */
+function getRecurrenceFromForm() {
+    const frequency = document.getElementById('task-recurrence').value;
+    if (frequency === 'none') return null;
+
+    const until = document.getElementById('task-until').value.trim();
+    const count = document.getElementById('task-count').value.trim();
+    const weekdays = [...document.querySelectorAll('input[name="task-weekday"]:checked')]
+        .map(box => Number(box.value));
+
+    return {
+        frequency,
+        interval: Number(document.getElementById('task-interval').value),
+        weekdays: frequency === 'weekly' ? weekdays : [],
+        until: until || null,
+        count: count ? Number(count) : null
+    };
+}
+
+/**
+ * Read the checklist editor into steps; rows left completely empty are skipped
+ */
+function getSubtasksFromForm() {
+    return [...document.querySelectorAll('#task-subtasks .subtask-row')]
+        .map(row => ({
+            id: row.dataset.subtaskId || null,
+            title: row.querySelector('.subtask-row-title').value.trim(),
+            duration: row.querySelector('.subtask-row-duration').value.trim(),
+            done: row.querySelector('.subtask-row-done').checked
+        }))
+        .filter(step => step.title || step.duration);
+}
+
+/**
+ * Which part of a recurring task the form edits ('occurrence', 'series' or null)
+ */
+function getEditScope() {
+    if (document.getElementById('edit-scope-group').hidden) return null;
+    return document.querySelector('input[name="edit-scope"]:checked').value;
+}
+
+/**
+ * Setup task edit/delete buttons and status controls
  */
 function setupTaskActions() {
     const container = document.getElementById('tasks-container');
@@ -141,11 +380,21 @@ function setupTaskActions() {
         const taskId = btn.dataset.id;
         if (!taskId) return;
 
+        if (btn.classList.contains('btn-focus')) {
+            const snapshot = timer.startTimer(taskId);
+            if (snapshot) {
+                ui.renderTimer(snapshot);
+                ui.renderTasks();
+                ui.renderStats();
+                ui.showStatus('search-status', `Focus timer started for "${snapshot.taskTitle}"`, 'success');
+            }
+        }
+
         if (btn.classList.contains('btn-edit')) {
             const task = state.getTaskById(taskId);
             if (task) {
                 state.setEditingTaskId(taskId);
-                ui.populateForm(task);
+                ui.populateForm(task, task.seriesId ? 'occurrence' : null);
                 state.setCurrentPage('add-task');
                 ui.showPage('add-task');
             }
@@ -153,12 +402,60 @@ function setupTaskActions() {
 
         if (btn.classList.contains('btn-delete')) {
             const task = state.getTaskById(taskId);
-            if (task && ui.confirmAction(`Delete "${task.title}"?`)) {
-                state.deleteTask(taskId);
-                ui.renderTasks();
-                ui.renderStats();
-                ui.showStatus('search-status', 'Task deleted!', 'success');
-            }
+            if (!task) return;
+
+            // Single deletes can be undone; a whole series still asks first
+            const isSeries = btn.classList.contains('btn-delete-series');
+            if (isSeries && !ui.confirmAction(`Delete every occurrence of "${task.title}"?`)) return;
+
+            state.deleteTask(taskId);
+            ui.renderTasks();
+            ui.renderStats();
+            showUndoable('search-status', isSeries
+                ? `Deleted every occurrence of "${task.title}"`
+                : `Deleted "${task.title}"`);
+        }
+    });
+
+    // Checklist steps ticked on the card; the task's status follows
+    container.addEventListener('change', e => {
+        const box = e.target;
+        if (!box.classList.contains('subtask-check')) return;
+
+        const before = state.getTaskById(box.dataset.id);
+        const task = state.toggleSubtask(box.dataset.id, box.dataset.subtaskId, box.checked);
+        if (task) {
+            ui.renderTasks();
+            ui.renderStats();
+            // Re-rendering replaced the checkbox; put keyboard focus back on it
+            const again = container.querySelector(
+                `.subtask-check[data-id="${CSS.escape(task.id)}"][data-subtask-id="${CSS.escape(box.dataset.subtaskId)}"]`);
+            if (again) again.focus();
+            const message = task.status === 'done' && state.getTaskStatus(before) !== 'done'
+                ? `Checklist complete: "${task.title}" marked done!`
+                : 'Checklist updated!';
+            showUndoable('search-status', message);
+        }
+    });
+
+    // Keep expanded checklists open when the list re-renders
+    container.addEventListener('toggle', e => {
+        if (e.target.classList.contains('task-checklist')) {
+            ui.setChecklistOpen(e.target.dataset.id, e.target.open);
+        }
+    }, true);
+
+    // Status changes from the card select
+    container.addEventListener('change', e => {
+        const select = e.target;
+        if (!select.classList.contains('status-select')) return;
+
+        const task = state.setTaskStatus(select.dataset.id, select.value);
+        if (task) {
+            ui.renderTasks();
+            ui.renderStats();
+            const message = task.status === 'done' ? `"${task.title}" marked done!` : 'Status updated!';
+            showUndoable('search-status', message);
         }
     });
 }
@@ -172,30 +469,28 @@ function setupSearch() {
     const status = document.getElementById('search-status');
 
     function performSearch() {
-        const pattern = searchInput.value.trim();
-        if (!pattern) {
-            state.setSearchPattern(null);
+        const { query, errors } = parseQuery(searchInput.value, caseSensitive.checked);
+        if (!query) {
+            state.setSearchQuery(null);
             ui.renderTasks();
             status.textContent = '';
             status.className = '';
             return;
         }
 
-        const flags = caseSensitive.checked ? 'g' : 'gi';
-        const regex = compileRegex(pattern, flags);
+        // Parts that did parse still apply, so the list narrows while typing
+        state.setSearchQuery(query);
+        ui.renderTasks();
 
-        if (!regex) {
-            status.textContent = '⚠️ Invalid regex pattern';
+        if (errors.length > 0) {
+            status.textContent = `⚠️ ${errors.join('; ')}`;
             status.className = 'error';
-            state.setSearchPattern(null);
-            ui.renderTasks();
             return;
         }
 
-        state.setSearchPattern(regex);
-        ui.renderTasks();
         const tasks = state.getFilteredSortedTasks();
-        status.textContent = `✓ Found ${tasks.length} task(s)`;
+        const filters = describeQuery(query);
+        status.textContent = `✓ Found ${tasks.length} task(s)${filters ? ` (${filters})` : ''}`;
         status.className = 'success';
     }
 
@@ -214,61 +509,188 @@ function setupSorting() {
     });
 }
 
+/**
+ * Saved searches: save the current query and sort under a name, re-apply from a smart list
+ */
+function setupSavedSearches() {
+    const searchInput = document.getElementById('search-input');
+    const caseSensitive = document.getElementById('case-sensitive');
+    const sortSelect = document.getElementById('sort-select');
+    const nameInput = document.getElementById('saved-search-name');
+
+    document.getElementById('save-search-btn').addEventListener('click', () => {
+        const name = nameInput.value.trim();
+        const nameCheck = validateField('title', name);
+        if (!nameCheck.valid) {
+            ui.showStatus('search-status', `Name the search first: ${nameCheck.message}`, 'error');
+            nameInput.focus();
+            return;
+        }
+
+        const { errors } = parseQuery(searchInput.value, caseSensitive.checked);
+        if (errors.length > 0) {
+            ui.showStatus('search-status', `Fix the search before saving: ${errors.join('; ')}`, 'error');
+            return;
+        }
+
+        const replacing = state.getSavedSearches().some(item => item.name.toLowerCase() === name.toLowerCase());
+        state.saveSearch({
+            name,
+            query: searchInput.value.trim(),
+            caseSensitive: caseSensitive.checked,
+            sortBy: state.getSortBy()
+        });
+
+        nameInput.value = '';
+        ui.renderSmartLists();
+        ui.showStatus('search-status', replacing ? `Updated saved search "${name}"` : `Saved search "${name}"`, 'success');
+    });
+
+    document.getElementById('smart-lists').addEventListener('click', e => {
+        const button = e.target.closest('button');
+        if (!button) return;
+        const search = state.getSavedSearches().find(item => item.id === button.dataset.id);
+        if (!search) return;
+
+        if (button.classList.contains('smart-list-delete')) {
+            if (ui.confirmAction(`Delete saved search "${search.name}"?`)) {
+                state.deleteSavedSearch(search.id);
+                ui.renderSmartLists();
+            }
+            return;
+        }
+
+        // Drive the normal controls so the search status and sort select stay in step
+        searchInput.value = search.query;
+        caseSensitive.checked = search.caseSensitive;
+        sortSelect.value = search.sortBy;
+        sortSelect.dispatchEvent(new Event('change'));
+        searchInput.dispatchEvent(new Event('input'));
+    });
+}
+
 /**
  * Settings: import/export, units, clear data
  */
 function setupSettings() {
     const timeUnit = document.getElementById('time-unit');
+    const timeZone = document.getElementById('time-zone');
     const weeklyCap = document.getElementById('weekly-cap');
     const exportBtn = document.getElementById('export-btn');
     const importFile = document.getElementById('import-file');
     const clearDataBtn = document.getElementById('clear-data-btn');
+    const exportIcsBtn = document.getElementById('export-ics-btn');
+    const icsComponent = document.getElementById('ics-component');
+    const focusMinutes = document.getElementById('focus-minutes');
+    const breakMinutes = document.getElementById('break-minutes');
 
     const settings = state.getSettings();
     timeUnit.value = settings.timeUnit;
     weeklyCap.value = settings.weeklyCap;
 
+    focusMinutes.value = settings.focusMinutes;
+    breakMinutes.value = settings.breakMinutes;
+
+    [focusMinutes, breakMinutes].forEach(input => {
+        input.addEventListener('change', () => {
+            const minutes = parseInt(input.value, 10);
+            if (!(minutes > 0)) {
+                input.value = state.getSettings()[input.id === 'focus-minutes' ? 'focusMinutes' : 'breakMinutes'];
+                return;
+            }
+            state.updateSettings(input.id === 'focus-minutes'
+                ? { focusMinutes: minutes }
+                : { breakMinutes: minutes });
+            ui.renderTimer(timer.getTimerSnapshot());
+            ui.showStatus('settings-status', 'Timer lengths saved!', 'success');
+        });
+    });
+
     timeUnit.addEventListener('change', () => {
         state.updateSettings({ timeUnit: timeUnit.value });
         ui.renderTasks();
         ui.renderStats();
     });
 
+    ui.populateTimeZoneOptions();
+    timeZone.addEventListener('change', () => {
+        state.updateSettings({ timeZone: timeZone.value });
+        // "Today" and every deadline may have moved
+        reminders.scheduleReminders();
+        ui.renderTasks();
+        ui.renderStats();
+        ui.showStatus('settings-status', `Time zone set to ${timeZone.value || 'the browser default'}`, 'success');
+    });
+
     exportBtn.addEventListener('click', () => {
-        const blob = new Blob([exportToJSON(state.getTasks())], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `campus-planner-${new Date().toISOString().split('T')[0]}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
+        downloadFile(exportToJSON(state.getTasks(), state.getCourses()), 'application/json', 'json');
         ui.showStatus('settings-status', 'Data exported successfully!', 'success');
     });
 
+    exportIcsBtn.addEventListener('click', () => {
+        downloadFile(exportToICS(state.getTasks(), icsComponent.value), 'text/calendar', 'ics');
+        ui.showStatus('settings-status', 'Calendar exported successfully!', 'success');
+    });
+
     importFile.addEventListener('change', e => {
         const file = e.target.files[0];
         if (!file) return;
 
         const reader = new FileReader();
         reader.onload = evt => {
+            if (isICS(evt.target.result)) {
+                handleCalendarImport(importFromICS(evt.target.result));
+                importFile.value = '';
+                return;
+            }
+
             const result = importFromJSON(evt.target.result);
-            if (result.success && ui.confirmAction('Replace all existing tasks?')) {
-                state.replaceTasks(result.data);
-                ui.renderTasks();
-                ui.renderStats();
-                ui.showStatus('settings-status', `Imported ${result.data.length} tasks!`, 'success');
-            } else if (!result.success) {
-                ui.showStatus('settings-status', `Import failed: ${result.errors.join(', ')}`, 'error');
+            if (result.encrypted) {
+                pendingDecrypt = evt.target.result;
+                ui.showDecryptForm(file.name);
+            } else {
+                applyJSONImport(result);
             }
             importFile.value = '';
         };
         reader.readAsText(file);
     });
 
+    document.getElementById('merge-apply-btn').addEventListener('click', () => {
+        if (!pendingMerge) return;
+
+        const choices = ui.getMergeChoices();
+        const taken = pendingMerge.items.filter(item => (choices[item.id] || item.choice) === 'incoming').length;
+
+        state.replaceTasks(applyMerge(state.getTasks(), pendingMerge.items, choices), 'Merge import');
+        state.importCourses(pendingMerge.courses);
+        refreshCourseViews();
+        pendingMerge = null;
+        ui.hideMergeReview();
+        ui.renderTasks();
+        ui.renderStats();
+        showUndoable('settings-status', `Merge complete: ${taken} tasks added or updated.`);
+    });
+
+    document.getElementById('merge-cancel-btn').addEventListener('click', () => {
+        pendingMerge = null;
+        ui.hideMergeReview();
+        ui.showStatus('settings-status', 'Import cancelled. Nothing was changed.', 'success');
+    });
+
     clearDataBtn.addEventListener('click', () => {
-        if (ui.confirmAction('Delete ALL tasks and settings?')) {
+        if (ui.confirmAction('Delete ALL tasks and settings? This can\'t be undone.')) {
             if (clearAllData()) {
+                timer.stopTimer();
+                ui.renderTimer(null);
                 state.clearTasks();
+                state.clearCourses();
+                state.clearSavedSearches();
+                // Nothing armed for the deleted tasks may fire afterwards
+                reminders.stopReminders();
+                reminders.clearFiredReminders();
+                state.clearPlan();
+                refreshCourseViews();
                 ui.renderTasks();
                 ui.renderStats();
                 ui.showStatus('settings-status', 'All data cleared!', 'success');
@@ -277,6 +699,237 @@ function setupSettings() {
     });
 }
 
+/**
+ * CSV export and the map-then-import preview
+ */
+function setupCsv() {
+    const exportBtn = document.getElementById('export-csv-btn');
+    const filtered = document.getElementById('csv-filtered');
+    const csvFile = document.getElementById('csv-file');
+    const mappingContainer = document.getElementById('csv-mapping');
+    const importBtn = document.getElementById('csv-import-btn');
+    const cancelBtn = document.getElementById('csv-cancel-btn');
+
+    // File being previewed: { headers, rows, mapping, result }
+    let preview = null;
+
+    function refreshPreview() {
+        preview.result = mapRows(preview.rows, preview.mapping);
+        ui.renderCsvPreview(preview);
+    }
+
+    function closePreview() {
+        preview = null;
+        csvFile.value = '';
+        ui.hideCsvPreview();
+    }
+
+    exportBtn.addEventListener('click', () => {
+        const tasks = filtered.checked ? state.getFilteredSortedTasks() : state.getOccurrences();
+        downloadFile(exportToCSV(tasks), 'text/csv', 'csv');
+        ui.showStatus('settings-status', `Exported ${tasks.length} tasks to CSV!`, 'success');
+    });
+
+    csvFile.addEventListener('change', e => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = evt => {
+            const { headers, rows } = parseCSV(evt.target.result);
+            if (headers.length === 0 || rows.length === 0) {
+                ui.showStatus('settings-status', 'Import failed: the CSV file has no data rows', 'error');
+                closePreview();
+                return;
+            }
+
+            preview = { headers, rows, mapping: guessColumnMapping(headers), result: null };
+            refreshPreview();
+        };
+        reader.readAsText(file);
+    });
+
+    mappingContainer.addEventListener('change', e => {
+        if (!preview || !e.target.classList.contains('csv-map-select')) return;
+        preview.mapping[e.target.dataset.field] = Number(e.target.value);
+        refreshPreview();
+        document.getElementById(e.target.id).focus();
+    });
+
+    importBtn.addEventListener('click', () => {
+        if (!preview || preview.result.valid.length === 0) return;
+
+        const mode = document.querySelector('input[name="csv-mode"]:checked').value;
+        const imported = preview.result.valid.map(state.createTaskRecord);
+        const skipped = preview.result.invalid.length;
+
+        if (mode === 'replace' && !ui.confirmAction('Replace all existing tasks?')) return;
+
+        state.replaceTasks(mode === 'replace' ? imported : [...state.getTasks(), ...imported], 'CSV import');
+        ui.renderTasks();
+        ui.renderStats();
+        showUndoable('settings-status',
+            `Imported ${imported.length} tasks from CSV${skipped ? `, skipped ${skipped} invalid rows` : ''}!`);
+        closePreview();
+    });
+
+    cancelBtn.addEventListener('click', closePreview);
+}
+
+/**
+ * Replace or merge tasks from a read JSON backup, as the import mode says
+ * @param {Object} result - From importFromJSON() or importFromEncryptedJSON()
+ */
+function applyJSONImport(result) {
+    const mode = document.querySelector('input[name="import-mode"]:checked').value;
+    if (result.success && mode === 'merge') {
+        startMergeReview(result.data, result.courses);
+    } else if (result.success && ui.confirmAction('Replace all existing tasks?')) {
+        state.replaceTasks(result.data);
+        state.importCourses(result.courses);
+        refreshCourseViews();
+        ui.renderTasks();
+        ui.renderStats();
+        showUndoable('settings-status', `Imported ${result.data.length} tasks!`);
+    } else if (!result.success) {
+        ui.showStatus('settings-status', `Import failed: ${result.errors.join(', ')}`, 'error');
+    }
+}
+
+// Encrypted backup waiting for its passphrase: file text, or null
+let pendingDecrypt = null;
+
+/**
+ * Encrypted backups: export behind a passphrase, and the passphrase step of importing one
+ */
+function setupEncryptedBackups() {
+    const encryptForm = document.getElementById('encrypt-form');
+    const encryptBtn = document.getElementById('encrypt-export-btn');
+    const passphrase = document.getElementById('backup-passphrase');
+    const confirmation = document.getElementById('backup-passphrase-confirm');
+    const decryptForm = document.getElementById('decrypt-form');
+    const decryptBtn = document.getElementById('decrypt-btn');
+    const decryptPassphrase = document.getElementById('decrypt-passphrase');
+
+    [passphrase, confirmation, decryptPassphrase].forEach(input => {
+        input.addEventListener('input', () => ui.clearFieldError(input.id));
+    });
+
+    encryptForm.addEventListener('submit', async e => {
+        e.preventDefault();
+        if (!isEncryptionAvailable()) {
+            ui.showStatus('settings-status', 'Encrypted export needs the planner opened over https or from localhost', 'error');
+            return;
+        }
+
+        const validation = validatePassphrase(passphrase.value, confirmation.value);
+        if (!validation.valid) {
+            Object.entries(validation.errors).forEach(([field, msg]) => {
+                ui.showFieldError(field === 'confirmation' ? 'backup-passphrase-confirm' : 'backup-passphrase', msg);
+            });
+            return;
+        }
+
+        // Deriving the key takes a moment on purpose; don't let a second click start another
+        encryptBtn.disabled = true;
+        try {
+            const backup = await exportToEncryptedJSON(state.getTasks(), state.getCourses(), passphrase.value);
+            downloadFile(backup, 'application/json', 'encrypted.json');
+            encryptForm.reset();
+            ui.showStatus('settings-status', 'Encrypted backup exported! It can only be restored with the passphrase.', 'success');
+        } catch (error) {
+            ui.showStatus('settings-status', `Encrypted export failed: ${error.message}`, 'error');
+        } finally {
+            encryptBtn.disabled = false;
+        }
+    });
+
+    decryptForm.addEventListener('submit', async e => {
+        e.preventDefault();
+        if (!pendingDecrypt) return;
+        if (!isEncryptionAvailable()) {
+            ui.showFieldError('decrypt-passphrase', 'Decrypting needs the planner opened over https or from localhost');
+            return;
+        }
+
+        decryptBtn.disabled = true;
+        let result;
+        try {
+            result = await importFromEncryptedJSON(pendingDecrypt, decryptPassphrase.value);
+        } catch (error) {
+            result = { success: false, data: null, errors: [`Could not decrypt this backup: ${error.message}`] };
+        } finally {
+            decryptBtn.disabled = false;
+        }
+
+        // A wrong passphrase can be retried; anything else ends this import
+        if (result.wrongPassphrase) {
+            ui.showFieldError('decrypt-passphrase', result.errors[0]);
+            decryptPassphrase.select();
+            return;
+        }
+
+        pendingDecrypt = null;
+        ui.hideDecryptForm();
+        applyJSONImport(result);
+    });
+
+    document.getElementById('decrypt-cancel-btn').addEventListener('click', () => {
+        pendingDecrypt = null;
+        ui.hideDecryptForm();
+    });
+}
+
+// Merge waiting for review: { items, unchanged, localOnly, courses }
+let pendingMerge = null;
+
+/**
+ * Show the merge review screen for imported tasks; nothing is saved until applied
+ */
+function startMergeReview(incoming, courses = []) {
+    pendingMerge = { ...diffTasks(state.getTasks(), incoming), courses };
+
+    if (pendingMerge.items.length === 0) {
+        pendingMerge = null;
+        ui.showStatus('settings-status', 'Nothing to merge: every imported task matches this device.', 'success');
+        return;
+    }
+
+    ui.renderMergeReview(pendingMerge);
+}
+
+/**
+ * Merge tasks from an iCalendar file, listing entries that could not be mapped
+ */
+function handleCalendarImport(result) {
+    const count = result.data ? result.data.length : 0;
+
+    if (count === 0) {
+        ui.showStatus('settings-status', `Import failed: ${result.errors.join(', ')}`, 'error');
+        return;
+    }
+
+    if (!result.success) {
+        const skipped = `${result.errors.length} problem(s) found:\n${result.errors.join('\n')}`;
+        if (!ui.confirmAction(`${skipped}\n\nReview the ${count} valid entries anyway?`)) return;
+    }
+
+    startMergeReview(result.data.map(task => applyCalendarEntry(state.getTaskById(task.id), task)));
+}
+
+/**
+ * Trigger a browser download for generated file contents
+ */
+function downloadFile(contents, type, extension) {
+    const blob = new Blob([contents], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `campus-planner-${today()}.${extension}`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Weekly cap controls
  */
@@ -299,6 +952,17 @@ function setupCapControls() {
  */
 function setupKeyboardShortcuts() {
     document.addEventListener('keydown', e => {
+        // Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac); text fields keep their own undo
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !isTextField(e.target)) {
+            e.preventDefault();
+            if (e.shiftKey) {
+                redoChange(getPageStatusId());
+            } else {
+                undoChange(getPageStatusId());
+            }
+            return;
+        }
+
         if (e.key === 'Escape') {
             if (state.getCurrentPage() === 'add-task' && state.getEditingTaskId()) {
                 ui.resetForm();
@@ -311,5 +975,642 @@ function setupKeyboardShortcuts() {
     });
 }
 
+/**
+ * Show a status message with an Undo button for the change just made
+ */
+function showUndoable(elementId, message) {
+    ui.showStatus(elementId, message, 'success', {
+        label: 'Undo',
+        onClick: () => undoChange(elementId)
+    });
+}
+
+/**
+ * Undo the last task change and offer to redo it
+ */
+function undoChange(elementId) {
+    const label = state.undo();
+    if (!label) {
+        ui.showStatus(elementId, 'Nothing to undo', 'error');
+        return;
+    }
+
+    refreshTaskViews();
+    ui.showStatus(elementId, `Undone: ${label}`, 'success', {
+        label: 'Redo',
+        onClick: () => redoChange(elementId)
+    });
+}
+
+/**
+ * Redo the last undone task change and offer to undo it again
+ */
+function redoChange(elementId) {
+    const label = state.redo();
+    if (!label) {
+        ui.showStatus(elementId, 'Nothing to redo', 'error');
+        return;
+    }
+
+    refreshTaskViews();
+    showUndoable(elementId, `Redone: ${label}`);
+}
+
+/**
+ * Re-render everything that shows tasks
+ */
+function refreshTaskViews() {
+    ui.renderTasks();
+    ui.renderStats();
+    if (state.getCurrentPage() === 'calendar') calendar.renderCalendar();
+    if (state.getCurrentPage() === 'tags') ui.renderTagManager();
+    if (state.getCurrentPage() === 'planner') ui.renderPlanner();
+    if (state.getCurrentPage() === 'analytics') ui.renderAnalytics();
+}
+
+/**
+ * Status element on the current page, for messages from keyboard shortcuts
+ */
+function getPageStatusId() {
+    const statusIds = {
+        dashboard: 'cap-status',
+        calendar: 'calendar-status',
+        tags: 'tags-status',
+        planner: 'planner-status',
+        settings: 'settings-status'
+    };
+    return statusIds[state.getCurrentPage()] || 'search-status';
+}
+
+function isTextField(element) {
+    return element.matches('input:not([type="checkbox"]):not([type="radio"]):not([type="button"]), textarea, select');
+}
+
+/**
+ * Courses: the Settings list and form, and the task list course filter
+ */
+function setupCourses() {
+    const form = document.getElementById('course-form');
+    const filter = document.getElementById('course-filter');
+
+    refreshCourseViews();
+
+    filter.addEventListener('change', () => {
+        state.setCourseFilter(filter.value);
+        ui.renderTasks();
+    });
+
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        ui.clearCourseErrors();
+
+        const courseData = {
+            name: document.getElementById('course-name').value.trim(),
+            credits: document.getElementById('course-credits').value.trim(),
+            instructor: document.getElementById('course-instructor').value.trim(),
+            term: document.getElementById('course-term').value.trim(),
+            weeklyBudget: document.getElementById('course-budget').value.trim()
+        };
+
+        const validation = validateCourse(courseData);
+        if (!validation.valid) {
+            Object.entries(validation.errors).forEach(([field, msg]) => {
+                ui.showFieldError(field === 'weeklyBudget' ? 'course-budget' : `course-${field}`, msg);
+            });
+            return;
+        }
+
+        const id = document.getElementById('course-id').value;
+        if (id) {
+            state.updateCourse(id, courseData);
+        } else {
+            state.addCourse(courseData);
+        }
+
+        ui.resetCourseForm();
+        refreshCourseViews();
+        ui.renderTasks();
+        ui.renderStats();
+        ui.showStatus('settings-status', id ? 'Course updated!' : 'Course added!', 'success');
+    });
+
+    document.getElementById('course-cancel-btn').addEventListener('click', ui.resetCourseForm);
+
+    document.getElementById('course-list').addEventListener('click', e => {
+        const id = e.target.dataset.id;
+        const course = id ? state.getCourseById(id) : null;
+        if (!course) return;
+
+        if (e.target.classList.contains('course-edit-btn')) {
+            ui.populateCourseForm(course);
+            document.getElementById('course-name').focus();
+        }
+
+        if (e.target.classList.contains('course-delete-btn') &&
+            ui.confirmAction(`Delete course "${course.name}"? Its tasks are kept without a course.`)) {
+            state.deleteCourse(id);
+            if (document.getElementById('course-id').value === id) ui.resetCourseForm();
+            refreshCourseViews();
+            ui.renderTasks();
+            ui.renderStats();
+            ui.showStatus('settings-status', `Deleted course "${course.name}"`, 'success');
+        }
+    });
+}
+
+/**
+ * Re-render the course list and every course picker
+ */
+function refreshCourseViews() {
+    ui.renderCourseList();
+    ui.populateCourseOptions();
+}
+
+/**
+ * Tag management: changes apply to every task at once and can be undone
+ */
+function setupTagManager() {
+    const list = document.getElementById('tags-list');
+
+    list.addEventListener('click', e => {
+        const row = e.target.closest('.tag-row');
+        if (!row) return;
+        const name = row.dataset.tag;
+
+        if (e.target.classList.contains('tag-rename-btn')) {
+            const input = row.querySelector('.tag-name-input');
+            const newName = input.value.trim().replace(/\s+/g, ' ');
+            const validation = validateField('tag', newName);
+            if (!validation.valid) {
+                ui.showStatus('tags-status', validation.message, 'error');
+                input.focus();
+                return;
+            }
+            if (newName === name) return;
+
+            const changed = state.renameTag(name, newName);
+            refreshTaskViews();
+            showUndoable('tags-status', `Renamed "${name}" to "${newName}" on ${changed} ${changed === 1 ? 'task' : 'tasks'}`);
+        }
+
+        if (e.target.classList.contains('tag-merge-btn')) {
+            const target = row.querySelector('.tag-merge-select').value;
+            const changed = state.renameTag(name, target);
+            refreshTaskViews();
+            showUndoable('tags-status', `Merged "${name}" into "${target}" on ${changed} ${changed === 1 ? 'task' : 'tasks'}`);
+        }
+
+        if (e.target.classList.contains('tag-delete-btn')) {
+            const { changed, untagged } = state.deleteTag(name);
+            refreshTaskViews();
+            showUndoable('tags-status', `Removed "${name}" from ${changed} ${changed === 1 ? 'task' : 'tasks'}` +
+                (untagged > 0 ? `; ${untagged} now ${untagged === 1 ? 'has' : 'have'} no tags` : ''));
+        }
+    });
+
+    list.addEventListener('change', e => {
+        if (!e.target.classList.contains('tag-color-input')) return;
+
+        const id = e.target.id;
+        state.setTagColor(e.target.closest('.tag-row').dataset.tag, e.target.value);
+        ui.renderTagManager();
+        document.getElementById(id).focus();
+    });
+}
+
+/**
+ * Calendar: toolbar, keyboard navigation and drag-to-reschedule
+ */
+function setupCalendar() {
+    const grid = document.getElementById('calendar-grid');
+
+    function goTo(date, focus = false) {
+        state.setCalendarDate(date);
+        calendar.renderCalendar();
+        if (focus) calendar.focusCalendarDate(date);
+    }
+
+    document.getElementById('calendar-prev').addEventListener('click', () => {
+        goTo(calendar.stepDate(state.getCalendarView(), state.getCalendarDate(), -1));
+    });
+    document.getElementById('calendar-next').addEventListener('click', () => {
+        goTo(calendar.stepDate(state.getCalendarView(), state.getCalendarDate(), 1));
+    });
+    document.getElementById('calendar-today').addEventListener('click', () => goTo(today()));
+
+    document.querySelectorAll('.calendar-view-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            state.setCalendarView(btn.dataset.view);
+            calendar.renderCalendar();
+        });
+    });
+
+    // Roving focus between day cells, following the ARIA grid pattern
+    grid.addEventListener('keydown', e => {
+        const cell = e.target.closest('.calendar-day');
+        if (!cell) return;
+
+        const date = cell.dataset.date;
+        const view = state.getCalendarView();
+        const moves = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+        let next = null;
+
+        if (e.key in moves) next = shiftDate(date, moves[e.key]);
+        if (e.key === 'Home') next = startOfWeek(date);
+        if (e.key === 'End') next = shiftDate(startOfWeek(date), 6);
+        if (e.key === 'PageUp') next = calendar.stepDate(view, date, -1);
+        if (e.key === 'PageDown') next = calendar.stepDate(view, date, 1);
+
+        if (next) {
+            e.preventDefault();
+            goTo(next, true);
+        } else if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            state.setCalendarView('day');
+            goTo(date);
+            document.getElementById('calendar-title').focus();
+        }
+    });
+
+    grid.addEventListener('click', e => {
+        const moveBtn = e.target.closest('.calendar-move');
+        if (moveBtn) {
+            const task = state.getTaskById(moveBtn.dataset.id);
+            if (task) rescheduleTask(task.id, shiftDate(task.dueDate, Number(moveBtn.dataset.days)));
+            return;
+        }
+
+        const cell = e.target.closest('.calendar-day');
+        if (cell) goTo(cell.dataset.date, true);
+    });
+
+    grid.addEventListener('dblclick', e => {
+        const cell = e.target.closest('.calendar-day');
+        if (!cell) return;
+        state.setCalendarView('day');
+        goTo(cell.dataset.date);
+    });
+
+    // Drag and drop
+    grid.addEventListener('dragstart', e => {
+        const item = e.target.closest('.calendar-task');
+        if (!item) return;
+        e.dataTransfer.setData('text/plain', item.dataset.id);
+        e.dataTransfer.effectAllowed = 'move';
+    });
+
+    grid.addEventListener('dragover', e => {
+        const cell = e.target.closest('.calendar-day');
+        if (!cell) return;
+        e.preventDefault();
+        cell.classList.add('drop-target');
+    });
+
+    grid.addEventListener('dragleave', e => {
+        const cell = e.target.closest('.calendar-day');
+        if (cell && !cell.contains(e.relatedTarget)) cell.classList.remove('drop-target');
+    });
+
+    grid.addEventListener('drop', e => {
+        const cell = e.target.closest('.calendar-day');
+        if (!cell) return;
+        e.preventDefault();
+        rescheduleTask(e.dataTransfer.getData('text/plain'), cell.dataset.date);
+    });
+}
+
+/**
+ * Move a task (or one occurrence) to another day
+ */
+function rescheduleTask(taskId, date) {
+    const task = state.getTaskById(taskId);
+    if (!task) return;
+
+    if (task.dueDate !== date) {
+        state.updateTask(taskId, { dueDate: date });
+        showUndoable('calendar-status', `Moved "${task.title}" to ${date}`);
+    }
+
+    calendar.renderCalendar();
+    ui.renderStats();
+}
+
+/**
+ * Focus timer: bar controls and the once-a-second tick.
+ * The timer lives outside the page sections so it keeps running across page switches.
+ */
+function setupTimer() {
+    const toggleBtn = document.getElementById('timer-toggle-btn');
+    const skipBtn = document.getElementById('timer-skip-btn');
+    const stopBtn = document.getElementById('timer-stop-btn');
+
+    handleTimerEvents(timer.initTimer());
+    ui.renderTimer(timer.getTimerSnapshot());
+
+    toggleBtn.addEventListener('click', () => {
+        const snapshot = timer.getTimerSnapshot();
+        if (!snapshot) return;
+        if (snapshot.running) {
+            timer.pauseTimer();
+        } else {
+            timer.resumeTimer();
+        }
+        ui.renderTimer(timer.getTimerSnapshot());
+    });
+
+    skipBtn.addEventListener('click', () => {
+        timer.skipBreak();
+        ui.renderTimer(timer.getTimerSnapshot());
+    });
+
+    stopBtn.addEventListener('click', () => {
+        const session = timer.stopTimer();
+        ui.renderTimer(null);
+        ui.renderTasks();
+        ui.renderStats();
+        announceTimer(session ? `Logged ${session.minutes} minutes.` : 'Timer stopped.');
+    });
+
+    setInterval(() => {
+        handleTimerEvents(timer.tickTimer());
+        ui.renderTimer(timer.getTimerSnapshot());
+    }, 1000);
+}
+
+/**
+ * React to completed timer phases
+ */
+function handleTimerEvents(events) {
+    if (events.length === 0) return;
+
+    const last = events[events.length - 1];
+    announceTimer(last.completed === 'work'
+        ? 'Focus session complete! Time for a break.'
+        : 'Break over. Press Resume to start the next focus session.');
+
+    ui.renderTasks();
+    ui.renderStats();
+}
+
+function announceTimer(message) {
+    ui.showStatus('timer-status', message, 'success');
+}
+
+/**
+ * Offline support: cache the app with a service worker, offer new versions
+ * with a reload prompt and say when the connection drops
+ */
+function setupOfflineSupport() {
+    document.getElementById('update-reload-btn').addEventListener('click', () => {
+        if (!pwa.applyUpdate()) window.location.reload();
+    });
+    document.getElementById('update-dismiss-btn').addEventListener('click', ui.hideUpdateBanner);
+
+    const renderConnection = () => ui.renderConnectionState(pwa.isOnline());
+    window.addEventListener('online', renderConnection);
+    window.addEventListener('offline', renderConnection);
+    renderConnection();
+
+    pwa.registerServiceWorker(ui.showUpdateBanner);
+}
+
+/**
+ * Live sync: take in what other tabs save and redraw. A change to the task
+ * open in the form is flagged there instead of replacing what's typed.
+ */
+function setupSync() {
+    initSync(change => {
+        try {
+            state.applyRemoteChange(change);
+        } catch (error) {
+            // Saved by a newer version in another tab; reloading picks it up
+            console.warn('Could not apply a change from another tab:', error);
+            ui.showUpdateBanner();
+            return;
+        }
+
+        if (change.kind === 'tasks') {
+            reminders.scheduleReminders();
+            refreshFormTaskOptions();
+            if (state.getEditingConflict()) ui.showFormConflict(state.getEditingConflict());
+        }
+        if (change.kind === 'settings') {
+            refreshSettingsFields();
+            reminders.scheduleReminders();
+            ui.renderTimetable();
+        }
+        if (change.kind === 'courses') refreshCourseViews();
+        // One timer for all tabs: a pause or stop in one applies everywhere
+        if (change.kind === 'timer') ui.renderTimer(timer.reloadTimer());
+        refreshTaskViews();
+    });
+}
+
+/**
+ * Re-list the prerequisites the task form offers, keeping the current picks
+ */
+function refreshFormTaskOptions() {
+    const editingId = state.getEditingTaskId();
+    const task = editingId ? state.getTaskById(editingId) : null;
+    const selected = [...document.getElementById('task-depends').selectedOptions].map(option => option.value);
+    ui.populateDependencyOptions(task ? task.seriesId || task.id : null, selected);
+    ui.updateDependencyWarning();
+}
+
+/**
+ * Show the saved values in the settings fields, after another tab changed them
+ */
+function refreshSettingsFields() {
+    const settings = state.getSettings();
+    document.getElementById('time-unit').value = settings.timeUnit;
+    document.getElementById('weekly-cap').value = settings.weeklyCap;
+    document.getElementById('focus-minutes').value = settings.focusMinutes;
+    document.getElementById('break-minutes').value = settings.breakMinutes;
+    document.getElementById('reminder-defaults').value = reminders.formatReminderOffsets(settings.reminderOffsets);
+    ui.populateTimeZoneOptions();
+}
+
+/**
+ * Analytics: redraw the charts when the range changes
+ */
+function setupAnalytics() {
+    document.getElementById('analytics-range').addEventListener('change', e => {
+        state.setAnalyticsRange(e.target.value);
+        ui.renderAnalytics();
+    });
+}
+
+/**
+ * Planner: save the free hours per weekday and session length, then rebuild the plan
+ */
+function setupPlanner() {
+    document.getElementById('planner-form').addEventListener('submit', e => {
+        e.preventDefault();
+
+        const availability = [...document.querySelectorAll('.avail-input')].map(input => parseFloat(input.value));
+        const maxSessionMinutes = parseInt(document.getElementById('max-session').value, 10);
+
+        if (!availability.every(hours => hours >= 0 && hours <= 24)) {
+            ui.showStatus('planner-status', 'Free hours must be between 0 and 24 for each day', 'error');
+            return;
+        }
+        if (!(maxSessionMinutes >= 15)) {
+            ui.showStatus('planner-status', 'Sessions must be at least 15 minutes long', 'error');
+            return;
+        }
+
+        state.updateSettings({ availability, maxSessionMinutes });
+        const plan = state.replan();
+        ui.renderPlanner();
+        ui.showStatus('planner-status', plan.unscheduled.length > 0
+            ? `Plan updated. ${plan.unscheduled.length} ${plan.unscheduled.length === 1 ? 'task does' : 'tasks do'} not fit before the deadline.`
+            : 'Plan updated. Every task fits before its deadline.',
+            plan.unscheduled.length > 0 ? 'error' : 'success');
+    });
+}
+
+/**
+ * Weekly timetable: study day span, adding and removing slots
+ */
+function setupTimetable() {
+    const form = document.getElementById('timetable-form');
+    const fields = ['start', 'end', 'label'];
+
+    ui.renderTimetable();
+
+    fields.forEach(field => {
+        document.getElementById(`slot-${field}`).addEventListener('input', () => ui.clearFieldError(`slot-${field}`));
+    });
+
+    form.addEventListener('submit', e => {
+        e.preventDefault();
+        fields.forEach(field => ui.clearFieldError(`slot-${field}`));
+
+        const slot = {
+            day: Number(document.getElementById('slot-day').value),
+            kind: document.getElementById('slot-kind').value,
+            start: document.getElementById('slot-start').value.trim(),
+            end: document.getElementById('slot-end').value.trim(),
+            label: document.getElementById('slot-label').value.trim()
+        };
+
+        const validation = validateSlot(slot);
+        if (!validation.valid) {
+            Object.entries(validation.errors).forEach(([field, msg]) => {
+                if (fields.includes(field)) ui.showFieldError(`slot-${field}`, msg);
+            });
+            return;
+        }
+
+        state.addTimeSlot(slot);
+        fields.forEach(field => {
+            document.getElementById(`slot-${field}`).value = '';
+        });
+        refreshTimetableViews();
+        ui.showStatus('settings-status', 'Added to your timetable', 'success');
+    });
+
+    document.getElementById('timetable-list').addEventListener('click', e => {
+        const btn = e.target.closest('.slot-delete');
+        if (!btn) return;
+
+        state.deleteTimeSlot(btn.dataset.id);
+        refreshTimetableViews();
+        ui.showStatus('settings-status', 'Removed from your timetable', 'success');
+    });
+
+    ['study-day-start', 'study-day-end'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            const start = document.getElementById('study-day-start').value.trim();
+            const end = document.getElementById('study-day-end').value.trim();
+            const validation = validateSlot({ day: 0, kind: 'study', start, end });
+
+            if (!validation.valid) {
+                ui.showFieldError('study-day', validation.errors.start || validation.errors.end);
+                return;
+            }
+
+            ui.clearFieldError('study-day');
+            state.updateSettings({ studyDay: { start, end } });
+            refreshTimetableViews();
+            ui.showStatus('settings-status', `Study day set to ${start}–${end}`, 'success');
+        });
+    });
+}
+
+function refreshTimetableViews() {
+    ui.renderTimetable();
+    ui.renderStats();
+    ui.renderTasks();
+}
+
+/**
+ * Deadline reminders: default offsets, notification permission and the scheduler
+ */
+function setupReminders() {
+    const defaultsInput = document.getElementById('reminder-defaults');
+
+    defaultsInput.value = reminders.formatReminderOffsets(state.getSettings().reminderOffsets);
+    ui.renderNotificationState(getNotificationPermission());
+
+    defaultsInput.addEventListener('input', () => ui.clearFieldError('reminder-defaults'));
+    defaultsInput.addEventListener('change', () => {
+        const validation = validateField('reminders', defaultsInput.value.trim());
+        if (!validation.valid) {
+            ui.showFieldError('reminder-defaults', validation.message);
+            return;
+        }
+
+        const offsets = reminders.parseReminderOffsets(defaultsInput.value);
+        state.updateSettings({ reminderOffsets: offsets });
+        defaultsInput.value = reminders.formatReminderOffsets(offsets);
+        reminders.scheduleReminders();
+        ui.showStatus('settings-status', 'Default reminders saved!', 'success');
+    });
+
+    document.getElementById('notifications-btn').addEventListener('click', () => {
+        Notification.requestPermission().then(permission => {
+            ui.renderNotificationState(permission);
+        });
+    });
+
+    document.getElementById('reminder-alert-close').addEventListener('click', ui.hideReminderAlert);
+
+    // Any task change can add, move or complete a deadline
+    state.onTasksChange(reminders.scheduleReminders);
+    reminders.initReminders(deliverReminders);
+}
+
+/**
+ * Send due reminders as browser notifications, falling back to the in-page banner
+ */
+function deliverReminders(due) {
+    const unsent = due.filter(reminder => !sendNotification(reminder));
+    if (unsent.length > 0) ui.showReminderAlert(unsent);
+}
+
+function sendNotification(reminder) {
+    if (getNotificationPermission() !== 'granted') return false;
+
+    try {
+        const title = `"${reminder.title}" is due ${reminders.formatTimeLeft(reminder.deadline - Date.now())}`;
+        const due = reminder.dueTime ? `${reminder.dueDate} ${reminder.dueTime}` : reminder.dueDate;
+        const notification = new Notification(title, { body: `Due ${due}`, tag: reminder.key });
+        notification.addEventListener('click', () => {
+            window.focus();
+            notification.close();
+        });
+        return true;
+    } catch (error) {
+        // Some mobile browsers only allow notifications from a service worker
+        console.warn('Notification failed, showing the reminder in the page:', error);
+        return false;
+    }
+}
+
+function getNotificationPermission() {
+    return 'Notification' in window ? Notification.permission : 'unsupported';
+}
+
 // DOM ready
 document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,99 @@
+// merge.js - Compare imported tasks with local ones and merge by ID
+
+// Bookkeeping fields that don't count as a change on their own
+const IGNORED_FIELDS = ['createdAt', 'updatedAt'];
+
+/**
+ * Compare imported tasks against local tasks, matching by ID.
+ *
+ * Each differing task becomes a review item:
+ * - 'added': only in the import; default is to add it
+ * - 'changed': the import is newer (by updatedAt); default is to take it
+ * - 'conflict': this device's copy is as new or newer; default is to keep it
+ *
+ * @param {Array} local - Tasks on this device
+ * @param {Array} incoming - Imported tasks
+ * @returns {Object} { items, unchanged, localOnly }
+ */
+export function diffTasks(local, incoming) {
+    const localById = new Map(local.map(task => [task.id, task]));
+    const incomingIds = new Set(incoming.map(task => task.id));
+    const items = [];
+    let unchanged = 0;
+
+    incoming.forEach(task => {
+        const current = localById.get(task.id);
+
+        if (!current) {
+            items.push({ id: task.id, kind: 'added', local: null, incoming: task, fields: [], choice: 'incoming' });
+            return;
+        }
+
+        const fields = getChangedFields(current, task);
+        if (fields.length === 0) {
+            unchanged++;
+            return;
+        }
+
+        const incomingNewer = Date.parse(task.updatedAt) > Date.parse(current.updatedAt);
+        items.push({
+            id: task.id,
+            kind: incomingNewer ? 'changed' : 'conflict',
+            local: current,
+            incoming: task,
+            fields,
+            choice: incomingNewer ? 'incoming' : 'local'
+        });
+    });
+
+    return {
+        items,
+        unchanged,
+        localOnly: local.filter(task => !incomingIds.has(task.id)).length
+    };
+}
+
+/**
+ * Build the merged task list from review choices
+ * @param {Array} local - Tasks on this device
+ * @param {Array} items - Review items from diffTasks()
+ * @param {Object} choices - Map of task ID -> 'incoming' | 'local'; missing IDs use the item default
+ * @returns {Array} Merged tasks
+ */
+export function applyMerge(local, items, choices = {}) {
+    const taken = new Map();
+
+    items.forEach(item => {
+        const choice = choices[item.id] || item.choice;
+        if (choice === 'incoming') taken.set(item.id, item.incoming);
+    });
+
+    const localIds = new Set(local.map(task => task.id));
+    const merged = local.map(task => taken.get(task.id) || task);
+
+    items.forEach(item => {
+        if (!localIds.has(item.id) && taken.has(item.id)) merged.push(item.incoming);
+    });
+
+    return merged;
+}
+
+/**
+ * Names of fields whose values differ between two versions of a task
+ * @param {Object} a - One version
+ * @param {Object} b - Other version
+ * @returns {Array<string>} Field names
+ */
+export function getChangedFields(a, b) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+
+    return [...keys].filter(key => {
+        if (IGNORED_FIELDS.includes(key)) return false;
+        return JSON.stringify(normalize(a[key])) !== JSON.stringify(normalize(b[key]));
+    });
+}
+
+// Missing and null mean the same thing in saved data
+function normalize(value) {
+    return value === undefined ? null : value;
+}
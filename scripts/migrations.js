@@ -0,0 +1,123 @@
+// migrations.js - Versioned task schema and ordered upgrades
+
+/**
+ * Ordered migrations. Each one upgrades tasks saved at `version - 1` to `version`.
+ * Append new entries at the end; never change one that has already shipped.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Add status, completion, actual time and recurrence fields',
+        up: tasks => tasks.map(task => ({
+            recurrence: null,
+            status: 'todo',
+            completedAt: null,
+            actualMinutes: null,
+            ...task
+        }))
+    },
+    {
+        version: 2,
+        description: 'Replace the single tag with a list of tags',
+        up: tasks => tasks.map(task => {
+            const { tag, ...rest } = task;
+            const upgraded = { ...rest, tags: Array.isArray(task.tags) ? task.tags : (tag ? [tag] : []) };
+
+            // Occurrence edits may carry their own tag too
+            if (task.overrides) {
+                upgraded.overrides = Object.fromEntries(Object.entries(task.overrides).map(([date, override]) => {
+                    if (override.tag === undefined) return [date, override];
+                    const { tag: overrideTag, ...fields } = override;
+                    return [date, { ...fields, tags: overrideTag ? [overrideTag] : [] }];
+                }));
+            }
+
+            return upgraded;
+        })
+    },
+    {
+        version: 3,
+        description: 'Add course membership',
+        up: tasks => tasks.map(task => ({ courseId: null, ...task }))
+    },
+    {
+        version: 4,
+        description: 'Add per-task reminders (null uses the default)',
+        up: tasks => tasks.map(task => ({ reminders: null, ...task }))
+    },
+    {
+        version: 5,
+        description: 'Add an optional time of day to due dates',
+        up: tasks => tasks.map(task => ({ dueTime: null, ...task }))
+    },
+    {
+        version: 6,
+        description: 'Add checklists of subtasks',
+        up: tasks => tasks.map(task => ({ subtasks: [], ...task }))
+    },
+    {
+        version: 7,
+        description: 'Add prerequisite tasks',
+        up: tasks => tasks.map(task => ({ dependsOn: [], ...task }))
+    },
+    {
+        version: 8,
+        description: 'Add priority levels',
+        up: tasks => tasks.map(task => ({ priority: 'medium', ...task }))
+    }
+];
+
+export const CURRENT_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Read the schema version and tasks out of saved or exported data.
+ * Bare arrays predate versioning and count as version 0.
+ * @param {*} data - Parsed JSON
+ * @returns {Object} { version, tasks }
+ */
+export function unwrap(data) {
+    if (Array.isArray(data)) {
+        return { version: 0, tasks: data };
+    }
+
+    if (data && Number.isInteger(data.version) && Array.isArray(data.tasks)) {
+        return { version: data.version, tasks: data.tasks };
+    }
+
+    throw new Error('Unrecognised data format: expected a task list');
+}
+
+/**
+ * Wrap tasks in a versioned envelope for saving or exporting
+ * @param {Array} tasks - Tasks at the current schema version
+ * @returns {Object} { version, tasks }
+ */
+export function wrap(tasks) {
+    return { version: CURRENT_VERSION, tasks };
+}
+
+/**
+ * Upgrade saved or exported data to the current schema version
+ * @param {*} data - Parsed JSON (bare array or versioned envelope)
+ * @returns {Object} { tasks, fromVersion }
+ * @throws {Error} If the data is from a newer version or a migration fails
+ */
+export function migrate(data) {
+    const { version, tasks } = unwrap(data);
+
+    if (version > CURRENT_VERSION) {
+        throw new Error(`Data was saved by a newer version of the planner (schema ${version})`);
+    }
+
+    const upgraded = MIGRATIONS
+        .filter(migration => migration.version > version)
+        .reduce((current, migration) => {
+            try {
+                return migration.up(current);
+            } catch (error) {
+                throw new Error(`Upgrade to schema ${migration.version} (${migration.description}) failed: ${error.message}`);
+            }
+        }, tasks);
+
+    return { tasks: upgraded, fromVersion: version };
+}
@@ -0,0 +1,117 @@
+// planner.js - Work plan: spread unfinished tasks over free hours before their deadlines
+
+import { shiftDate, startOfWeek, parseDate } from './dates.js';
+import { getOpenSubtaskMinutes } from './subtasks.js';
+
+// Never plan further ahead than this, however far away the last deadline is
+const MAX_PLAN_DAYS = 90;
+
+/**
+ * Build a day-by-day work plan. Tasks are scheduled earliest deadline first, as early
+ * as free time allows, in sessions no longer than maxSessionMinutes. Each day is limited
+ * by the hours available on that weekday and each week by the weekly cap.
+ * @param {Array} tasks - Unfinished tasks or occurrences to plan
+ * @param {Object} options - {
+ *     startDate: first day to plan (YYYY-MM-DD),
+ *     availability: hours free on each weekday, Sunday first,
+ *     weeklyCap: most hours to plan in one week,
+ *     maxSessionMinutes: longest single work session
+ * }
+ * @returns {Object} { startDate, days: [{ date, capacity, sessions: [{ taskId, title, minutes, part, parts }] }],
+ *     unscheduled: [{ taskId, title, dueDate, minutesShort, reason }] }
+ */
+export function buildPlan(tasks, options) {
+    const { startDate, availability, weeklyCap, maxSessionMinutes } = options;
+    const days = new Map();
+    const weekUsed = {};
+    const unscheduled = [];
+
+    const queue = tasks
+        .map(task => ({ task, remaining: getRemainingMinutes(task), lastDay: getLastWorkDay(task) }))
+        .filter(item => item.remaining > 0)
+        .sort((a, b) => a.lastDay.localeCompare(b.lastDay) || a.task.title.localeCompare(b.task.title));
+
+    const endDate = shiftDate(startDate, MAX_PLAN_DAYS - 1);
+    const getDay = (date) => {
+        if (!days.has(date)) {
+            const capacity = Math.round((availability[parseDate(date).getUTCDay()] || 0) * 60);
+            days.set(date, { date, capacity, free: capacity, sessions: [] });
+        }
+        return days.get(date);
+    };
+
+    queue.forEach(item => {
+        const { task, lastDay } = item;
+
+        if (lastDay < startDate) {
+            unscheduled.push(unscheduledEntry(task, item.remaining, 'Deadline has already passed'));
+            return;
+        }
+
+        const parts = [];
+        for (let date = startDate; date <= lastDay && date <= endDate && item.remaining > 0; date = shiftDate(date, 1)) {
+            const day = getDay(date);
+            const week = startOfWeek(date);
+
+            while (item.remaining > 0) {
+                const weekFree = weeklyCap * 60 - (weekUsed[week] || 0);
+                const minutes = Math.min(item.remaining, day.free, maxSessionMinutes, weekFree);
+                if (minutes <= 0) break;
+
+                const session = { taskId: task.id, title: task.title, minutes, part: 0 };
+                day.sessions.push(session);
+                parts.push(session);
+                day.free -= minutes;
+                weekUsed[week] = (weekUsed[week] || 0) + minutes;
+                item.remaining -= minutes;
+            }
+        }
+
+        // "Part 2 of 3" labels only make sense once the split is known
+        parts.forEach((session, index) => {
+            session.part = parts.length > 1 ? index + 1 : 0;
+            session.parts = parts.length;
+        });
+
+        if (item.remaining > 0) {
+            unscheduled.push(unscheduledEntry(task, item.remaining, lastDay > endDate
+                ? `Due more than ${MAX_PLAN_DAYS} days ahead`
+                : 'Not enough free time before the deadline'));
+        }
+    });
+
+    return {
+        startDate,
+        days: [...days.values()]
+            .filter(day => day.sessions.length > 0)
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(({ date, capacity, sessions }) => ({ date, capacity, sessions })),
+        unscheduled
+    };
+}
+
+/**
+ * Minutes still to do on a task: the unticked checklist steps when they have
+ * durations, otherwise planned time less time already logged
+ * @param {Object} task - Task or occurrence
+ * @returns {number}
+ */
+export function getRemainingMinutes(task) {
+    const open = getOpenSubtaskMinutes(task);
+    if (open !== null) return Math.round(open);
+
+    const spent = typeof task.actualMinutes === 'number' ? task.actualMinutes : 0;
+    return Math.max(Math.round(task.duration - spent), 0);
+}
+
+/**
+ * Last day work can be planned for a task. A task with a due time may be due
+ * before the day's free time, so its work is planned by the day before.
+ */
+function getLastWorkDay(task) {
+    return task.dueTime ? shiftDate(task.dueDate, -1) : task.dueDate;
+}
+
+function unscheduledEntry(task, minutesShort, reason) {
+    return { taskId: task.id, title: task.title, dueDate: task.dueDate, minutesShort, reason };
+}
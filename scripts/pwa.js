@@ -0,0 +1,70 @@
+// pwa.js - Service worker registration and the "new version available" handshake
+
+// Long-open tabs look for a new version this often; reloads check anyway
+const UPDATE_CHECK_MS = 60 * 60 * 1000;
+
+// New version installed and waiting to take over
+let waitingWorker = null;
+
+/**
+ * Register the service worker and watch for new versions. Does nothing where
+ * service workers aren't available, such as older browsers or pages opened from a file.
+ * @param {Function} onUpdate - Called when a new version is ready to reload into
+ * @returns {Promise<boolean>} Whether a service worker was registered
+ */
+export async function registerServiceWorker(onUpdate) {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return false;
+
+    // Without a controller this is the first install, which needs no reload
+    const hadController = Boolean(navigator.serviceWorker.controller);
+    const offerUpdate = worker => {
+        waitingWorker = worker;
+        onUpdate();
+    };
+
+    try {
+        const registration = await navigator.serviceWorker.register('sw.js');
+
+        // A version may already be waiting from an earlier visit
+        if (registration.waiting && hadController) offerUpdate(registration.waiting);
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate(worker);
+            });
+        });
+
+        // Reload once the new version takes over, whichever tab asked for it
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!hadController || reloading) return;
+            reloading = true;
+            window.location.reload();
+        });
+
+        setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_MS);
+        return true;
+    } catch (error) {
+        console.warn('Service worker registration failed:', error);
+        return false;
+    }
+}
+
+/**
+ * Switch to the waiting version. The page reloads once it takes over.
+ * @returns {boolean} False if no new version is waiting
+ */
+export function applyUpdate() {
+    if (!waitingWorker) return false;
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    return true;
+}
+
+/**
+ * Whether the browser currently has a network connection
+ * @returns {boolean}
+ */
+export function isOnline() {
+    return navigator.onLine !== false;
+}
@@ -0,0 +1,270 @@
+// query.js - Search box query syntax: field filters, quoted phrases and regex text
+//
+//   tag:physics  @physics         task has the tag (any case)
+//   due:<2025-11-01               also <=, >, >=, =, a range 2025-11-01..2025-11-30,
+//   due:next-week                 or today, tomorrow, yesterday, this/next/last-week, this/next-month, overdue
+//   dur:>120  dur:>2h  dur:30-90  planned duration in minutes (m) or hours (h)
+//   status:done                   todo, in-progress or done
+//   priority:high                 low, medium or high
+//   course:bio                    course name contains the text
+//   "lab report"                  exact phrase in the title or tags
+//
+// Anything else is free text, matched as a regex like the search box always did.
+
+import { PATTERNS, TASK_STATUSES, TASK_PRIORITIES, compileRegex } from './validators.js';
+import { shiftDate, shiftMonth, startOfWeek, startOfMonth, today, getDeadline } from './dates.js';
+import { getTaskTags } from './tags.js';
+import { getTaskPriority } from './urgency.js';
+
+const TOKEN = /(\w+):(?:"([^"]*)("?)|(\S*))|@([A-Za-z][\w-]*)|"([^"]*)("?)|(\S+)/g;
+const COMPARISON = /^(<=|>=|<|>|=)?(.+)$/;
+const DURATION = /^(\d+(?:\.\d+)?)(h|hr|hrs|m|min|mins)?$/i;
+
+const FILTER_KEYS = ['tag', 'due', 'dur', 'status', 'priority', 'course'];
+
+/**
+ * Parse search box input into filters and a free-text pattern.
+ * Bad filters are reported and left out; the rest of the query still applies.
+ * @param {string} input - Raw search box text
+ * @param {boolean} caseSensitive - Whether free text and phrases match case
+ * @returns {Object} { query: { source, caseSensitive, filters, text, phrases, highlight } | null, errors: Array<string> }
+ */
+export function parseQuery(input, caseSensitive = false) {
+    const errors = [];
+    const filters = [];
+    const phrases = [];
+    const words = [];
+    let structured = false;
+    const flags = caseSensitive ? '' : 'i';
+    const trimmed = input.trim();
+
+    if (!trimmed) return { query: null, errors };
+
+    for (const match of trimmed.matchAll(TOKEN)) {
+        const [raw, key, quotedValue, keyQuoteClosed, value, atTag, phrase, phraseClosed, word] = match;
+
+        if (key !== undefined && FILTER_KEYS.includes(key.toLowerCase())) {
+            structured = true;
+            if (quotedValue !== undefined && !keyQuoteClosed) errors.push(`Missing closing quote after ${key}:`);
+            const filter = parseFilter(key.toLowerCase(), quotedValue !== undefined ? quotedValue : value);
+            if (filter.error) {
+                errors.push(filter.error);
+            } else {
+                filters.push(filter);
+            }
+        } else if (atTag !== undefined) {
+            structured = true;
+            filters.push(parseFilter('tag', atTag));
+        } else if (phrase !== undefined) {
+            structured = true;
+            if (!phraseClosed) errors.push('Missing closing quote');
+            if (phrase.trim()) phrases.push(phrase.trim());
+        } else {
+            words.push(word !== undefined ? word : raw);
+        }
+    }
+
+    // With no filters or phrases the whole input is one regex, exactly as before
+    const textSource = structured ? words.join(' ') : trimmed;
+    let text = null;
+    if (textSource) {
+        text = compileRegex(textSource, flags);
+        if (!text) errors.push(`Invalid regex pattern "${textSource}"`);
+    }
+
+    const phrasePatterns = phrases.map(phrase => new RegExp(escapeRegex(phrase), flags));
+    const highlightSources = [text ? text.source : null, ...phrasePatterns.map(pattern => pattern.source)].filter(Boolean);
+
+    return {
+        query: {
+            source: trimmed,
+            caseSensitive,
+            filters,
+            text,
+            phrases: phrasePatterns,
+            highlight: highlightSources.length > 0 ? new RegExp(highlightSources.join('|'), flags + 'g') : null
+        },
+        errors
+    };
+}
+
+/**
+ * Check a task against a parsed query
+ * @param {Object} task - Task or occurrence
+ * @param {Object} query - From parseQuery()
+ * @param {Object} context - { courseName } for the task's course, or null
+ * @returns {boolean}
+ */
+export function matchesQuery(task, query, context = {}) {
+    if (!query.filters.every(filter => filter.test(task, context))) return false;
+
+    const fields = [task.title, ...getTaskTags(task)];
+    if (!query.phrases.every(pattern => fields.some(field => pattern.test(field)))) return false;
+
+    if (query.text) {
+        return [...fields, task.dueDate].some(field => query.text.test(field));
+    }
+
+    return true;
+}
+
+/**
+ * Human-readable list of the filters in a query, for the search status line
+ * @param {Object} query - From parseQuery()
+ * @returns {string}
+ */
+export function describeQuery(query) {
+    return query.filters.map(filter => filter.label).join(', ');
+}
+
+function parseFilter(key, value) {
+    if (!value) return { error: `${key}: needs a value` };
+
+    switch (key) {
+        case 'tag':
+            return {
+                label: `tag ${value}`,
+                test: task => getTaskTags(task).some(tag => tag.toLowerCase() === value.toLowerCase())
+            };
+        case 'due':
+            return parseDueFilter(value);
+        case 'dur':
+            return parseDurationFilter(value);
+        case 'status': {
+            const status = value.toLowerCase();
+            if (!TASK_STATUSES.includes(status)) {
+                return { error: `status: expects one of ${TASK_STATUSES.join(', ')}` };
+            }
+            return { label: `status ${status}`, test: task => (task.status || 'todo') === status };
+        }
+        case 'priority': {
+            const priority = value.toLowerCase();
+            if (!TASK_PRIORITIES.includes(priority)) {
+                return { error: `priority: expects one of ${TASK_PRIORITIES.join(', ')}` };
+            }
+            return { label: `priority ${priority}`, test: task => getTaskPriority(task) === priority };
+        }
+        case 'course':
+            return {
+                label: `course ${value}`,
+                test: (task, context) => Boolean(context.courseName) &&
+                    context.courseName.toLowerCase().includes(value.toLowerCase())
+            };
+        default:
+            return { error: `Unknown filter ${key}:` };
+    }
+}
+
+function parseDueFilter(value) {
+    const todayStr = today();
+
+    if (value.toLowerCase() === 'overdue') {
+        return {
+            label: 'overdue',
+            test: task => (task.status || 'todo') !== 'done' && getDeadline(task) < Date.now()
+        };
+    }
+
+    const range = value.split('..');
+    if (range.length === 2) {
+        const [from, to] = range.map(resolveDay);
+        if (!from || !to) return { error: `due: range must be two dates, like 2025-11-01..2025-11-30` };
+        return dueBetween(`due ${from} to ${to}`, from, to);
+    }
+
+    const period = resolvePeriod(value.toLowerCase(), todayStr);
+    if (period) return dueBetween(`due ${value.toLowerCase()}`, period.from, period.to);
+
+    const [, op = '=', dateText] = value.match(COMPARISON);
+    const date = resolveDay(dateText);
+    if (!date) {
+        return { error: `due: expects a date like 2025-11-01, a range, or today / this-week / next-week` };
+    }
+
+    const tests = {
+        '<': due => due < date,
+        '<=': due => due <= date,
+        '>': due => due > date,
+        '>=': due => due >= date,
+        '=': due => due === date
+    };
+    const words = { '<': 'before', '<=': 'on or before', '>': 'after', '>=': 'on or after', '=': 'on' };
+
+    return { label: `due ${words[op]} ${date}`, test: task => tests[op](task.dueDate) };
+}
+
+function dueBetween(label, from, to) {
+    return { label, test: task => task.dueDate >= from && task.dueDate <= to };
+}
+
+/**
+ * Single-day keywords or a YYYY-MM-DD date
+ */
+function resolveDay(text) {
+    const todayStr = today();
+    const days = { today: 0, tomorrow: 1, yesterday: -1 };
+    const lower = text.toLowerCase();
+
+    if (lower in days) return shiftDate(todayStr, days[lower]);
+    return PATTERNS.date.test(text) ? text : null;
+}
+
+/**
+ * Week and month keywords as an inclusive { from, to } range
+ */
+function resolvePeriod(keyword, todayStr) {
+    const week = startOfWeek(todayStr);
+    const month = startOfMonth(todayStr);
+    const weekOf = start => ({ from: start, to: shiftDate(start, 6) });
+    const monthOf = start => ({ from: start, to: shiftDate(shiftMonth(start, 1), -1) });
+
+    const periods = {
+        'this-week': () => weekOf(week),
+        'next-week': () => weekOf(shiftDate(week, 7)),
+        'last-week': () => weekOf(shiftDate(week, -7)),
+        'this-month': () => monthOf(month),
+        'next-month': () => monthOf(shiftMonth(month, 1)),
+        'last-month': () => monthOf(shiftMonth(month, -1))
+    };
+
+    return periods[keyword] ? periods[keyword]() : null;
+}
+
+function parseDurationFilter(value) {
+    const error = { error: 'dur: expects minutes or hours, like >120, <=2h or 30-90' };
+
+    const range = value.match(/^([\d.]+)-([\d.]+)(h|hr|hrs|m|min|mins)?$/i);
+    if (range) {
+        const unit = range[3] || '';
+        const min = toMinutes(range[1] + unit);
+        const max = toMinutes(range[2] + unit);
+        if (min === null || max === null || min > max) return error;
+        return { label: `${min}-${max} min`, test: task => task.duration >= min && task.duration <= max };
+    }
+
+    const [, op = '=', amount] = value.match(COMPARISON);
+    const minutes = toMinutes(amount);
+    if (minutes === null) return error;
+
+    const tests = {
+        '<': duration => duration < minutes,
+        '<=': duration => duration <= minutes,
+        '>': duration => duration > minutes,
+        '>=': duration => duration >= minutes,
+        '=': duration => duration === minutes
+    };
+
+    return { label: `${op === '=' ? '' : op}${minutes} min`, test: task => tests[op](task.duration) };
+}
+
+function toMinutes(text) {
+    const match = text.match(DURATION);
+    if (!match) return null;
+
+    const amount = parseFloat(match[1]);
+    return match[2] && match[2].toLowerCase().startsWith('h') ? amount * 60 : amount;
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,141 @@
+// recurrence.js - Recurring task rules and occurrence expansion
+
+import { parseDate, addDays, toDateString, shiftDate, today } from './dates.js';
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Open-ended series are expanded this many days past today
+const HORIZON_DAYS = 90;
+
+// Hard stop so a bad rule can never expand forever
+const MAX_OCCURRENCES = 500;
+
+/**
+ * Build an occurrence ID from a series ID and occurrence date
+ * @param {string} seriesId - ID of the recurring task
+ * @param {string} date - Occurrence date (YYYY-MM-DD)
+ * @returns {string} Occurrence ID
+ */
+export function makeOccurrenceId(seriesId, date) {
+    return `${seriesId}@${date}`;
+}
+
+/**
+ * Split an occurrence ID into its series ID and date
+ * @param {string} id - Task or occurrence ID
+ * @returns {Object|null} { seriesId, date } or null for plain task IDs
+ */
+export function parseOccurrenceId(id) {
+    const index = id.lastIndexOf('@');
+    if (index === -1) return null;
+
+    return {
+        seriesId: id.slice(0, index),
+        date: id.slice(index + 1)
+    };
+}
+
+/**
+ * Default expansion horizon for open-ended series
+ * @returns {string} Date string (YYYY-MM-DD)
+ */
+export function defaultHorizon() {
+    return shiftDate(today(), HORIZON_DAYS);
+}
+
+/**
+ * List the dates a recurrence rule produces, starting at the series due date
+ * @param {string} startDate - First due date (YYYY-MM-DD)
+ * @param {Object} rule - { frequency, interval, weekdays, until, count }
+ * @param {string} horizon - Last date to expand open-ended rules to
+ * @returns {Array<string>} Occurrence dates in ascending order
+ */
+export function getOccurrenceDates(startDate, rule, horizon = defaultHorizon()) {
+    const start = parseDate(startDate);
+    const interval = rule.interval || 1;
+    const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+    const end = parseDate(rule.until || (rule.count ? '9999-12-31' : horizon));
+    const dates = [];
+
+    const push = (date) => {
+        if (date < start || date > end || dates.length >= limit) return;
+        dates.push(toDateString(date));
+    };
+
+    if (rule.frequency === 'daily') {
+        for (let i = 0; dates.length < limit; i += interval) {
+            const date = addDays(start, i);
+            if (date > end) break;
+            push(date);
+        }
+    } else if (rule.frequency === 'weekly') {
+        const weekdays = rule.weekdays && rule.weekdays.length
+            ? [...rule.weekdays].sort((a, b) => a - b)
+            : [start.getUTCDay()];
+        const weekStart = addDays(start, -start.getUTCDay());
+
+        for (let week = 0; dates.length < limit; week += interval) {
+            const sunday = addDays(weekStart, week * 7);
+            if (sunday > end) break;
+            weekdays.forEach(day => push(addDays(sunday, day)));
+        }
+    } else if (rule.frequency === 'monthly') {
+        const day = start.getUTCDate();
+
+        for (let month = 0; dates.length < limit; month += interval) {
+            const date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + month, day));
+            if (date > end) break;
+            // Skip months that don't have this day (e.g. the 31st)
+            if (date.getUTCDate() === day) push(date);
+        }
+    }
+
+    return dates;
+}
+
+/**
+ * Expand a task into the occurrences it produces.
+ * One-off tasks are returned as-is.
+ * @param {Object} task - Task object
+ * @param {string} horizon - Last date to expand open-ended rules to
+ * @returns {Array} Task or occurrence objects
+ */
+export function expandTask(task, horizon = defaultHorizon()) {
+    if (!task.recurrence) return [task];
+
+    const { overrides = {}, exdates = [], ...series } = task;
+
+    return getOccurrenceDates(task.dueDate, task.recurrence, horizon)
+        .filter(date => !exdates.includes(date))
+        .map(date => ({
+            ...series,
+            ...overrides[date],
+            id: makeOccurrenceId(task.id, date),
+            seriesId: task.id,
+            occurrenceDate: date
+        }));
+}
+
+/**
+ * Human-readable summary of a rule (e.g. "Every 2 weeks on Mon, Wed")
+ * @param {Object} rule - Recurrence rule
+ * @returns {string} Description
+ */
+export function describeRecurrence(rule) {
+    if (!rule) return '';
+
+    const units = { daily: 'day', weekly: 'week', monthly: 'month' };
+    const unit = units[rule.frequency];
+    let text = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`;
+
+    if (rule.frequency === 'weekly' && rule.weekdays && rule.weekdays.length) {
+        text += ' on ' + rule.weekdays.map(day => WEEKDAY_LABELS[day]).join(', ');
+    }
+
+    if (rule.until) text += `, until ${rule.until}`;
+    if (rule.count) text += `, ${rule.count} times`;
+
+    return text;
+}
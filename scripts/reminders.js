@@ -0,0 +1,179 @@
+// reminders.js - Deadline reminders: offsets before a due date and the scheduler that fires them
+
+import { loadFiredReminders, saveFiredReminders } from './Storage.js';
+import { getTasks, getOccurrences, getTaskStatus, getSettings } from './state.js';
+import { shiftDate, today, getDeadline } from './dates.js';
+
+const MINUTE_MS = 60 * 1000;
+const UNIT_MINUTES = { d: 1440, h: 60, m: 1 };
+
+// Longest single wait. Keeps setTimeout well inside its limit and notices clock jumps after sleep
+const MAX_WAIT_MS = 60 * MINUTE_MS;
+
+// Fired reminders are remembered this long so a reload doesn't repeat them
+const FIRED_RETENTION_MS = 60 * 24 * 60 * MINUTE_MS;
+
+// Reminder keys already shown: key -> ms timestamp when fired
+let fired = {};
+
+let timeoutId = null;
+let listener = null;
+
+/**
+ * Read a typed reminder list ("1d, 2h, 30m") as minutes before the deadline
+ * @param {string} text - Reminder list as typed; 'none' turns reminders off
+ * @returns {Array<number>} Offsets in minutes, largest first, without repeats
+ */
+export function parseReminderOffsets(text) {
+    const value = String(text || '').trim().toLowerCase();
+    if (!value || value === 'none') return [];
+
+    const offsets = value.split(',').map(part => {
+        const match = part.trim().match(/^(\d+)\s*([dhm])$/);
+        return match ? Number(match[1]) * UNIT_MINUTES[match[2]] : null;
+    }).filter(offset => offset !== null);
+
+    return [...new Set(offsets)].sort((a, b) => b - a);
+}
+
+/**
+ * Write reminder offsets the way they are typed
+ * @param {Array<number>} offsets - Minutes before the deadline
+ * @returns {string} e.g. "1d, 2h", or "none" for an empty list
+ */
+export function formatReminderOffsets(offsets) {
+    if (!offsets || offsets.length === 0) return 'none';
+
+    return offsets.map(minutes => {
+        if (minutes > 0 && minutes % UNIT_MINUTES.d === 0) return `${minutes / UNIT_MINUTES.d}d`;
+        if (minutes > 0 && minutes % UNIT_MINUTES.h === 0) return `${minutes / UNIT_MINUTES.h}h`;
+        return `${minutes}m`;
+    }).join(', ');
+}
+
+/**
+ * Reminder offsets that apply to a task: its own list, or the default from settings
+ * @param {Object} task - Task or occurrence
+ * @returns {Array<number>} Minutes before the deadline
+ */
+export function getTaskReminderOffsets(task) {
+    return Array.isArray(task.reminders) ? task.reminders : getSettings().reminderOffsets;
+}
+
+/**
+ * How long until a deadline, for reminder messages
+ * @param {number} ms - Milliseconds left
+ * @returns {string} e.g. "in 2 hours"
+ */
+export function formatTimeLeft(ms) {
+    const minutes = Math.max(Math.round(ms / MINUTE_MS), 0);
+    const plural = (count, unit) => `in ${count} ${unit}${count === 1 ? '' : 's'}`;
+
+    if (minutes < 60) return plural(minutes, 'minute');
+    if (minutes < 48 * 60) return plural(Math.round(minutes / 60), 'hour');
+    return plural(Math.round(minutes / UNIT_MINUTES.d), 'day');
+}
+
+/**
+ * Load the fired-reminder log and arm the scheduler from the saved tasks.
+ * Reminders that came due while the page was closed fire straight away
+ * if their deadline is still ahead.
+ * @param {Function} onDue - Called with an array of due reminders
+ * @returns {Array} Reminders fired during this call
+ */
+export function initReminders(onDue) {
+    listener = onDue;
+    fired = loadFiredReminders();
+    pruneFired(Date.now());
+    return scheduleReminders();
+}
+
+/**
+ * Fire reminders that are due and set a timeout for the next one.
+ * Call again whenever tasks or the default offsets change.
+ * @returns {Array} Reminders fired during this call
+ */
+export function scheduleReminders() {
+    clearTimeout(timeoutId);
+    timeoutId = null;
+
+    const now = Date.now();
+    // Other open tabs share the log, so a reminder one of them showed isn't shown again here
+    fired = { ...fired, ...loadFiredReminders() };
+    const pending = collectReminders(now).filter(reminder => !fired[reminder.key]);
+    const reached = pending.filter(reminder => reminder.fireAt <= now);
+
+    reached.forEach(reminder => {
+        fired[reminder.key] = now;
+    });
+    if (reached.length > 0) saveFiredReminders(fired);
+
+    // One message per task: the reminder closest to the deadline
+    const due = reached
+        .sort((a, b) => a.offset - b.offset)
+        .filter((reminder, index, list) => list.findIndex(other => other.taskId === reminder.taskId) === index)
+        .sort((a, b) => a.deadline - b.deadline);
+
+    if (due.length > 0 && listener) listener(due);
+
+    const upcoming = pending.filter(reminder => reminder.fireAt > now);
+    if (upcoming.length > 0) {
+        const next = Math.min(...upcoming.map(reminder => reminder.fireAt));
+        timeoutId = setTimeout(scheduleReminders, Math.min(next - now, MAX_WAIT_MS));
+    }
+
+    return due;
+}
+
+/**
+ * Stop the scheduler, e.g. once all data is cleared
+ */
+export function stopReminders() {
+    clearTimeout(timeoutId);
+    timeoutId = null;
+}
+
+/**
+ * Forget which reminders have fired, after all data is cleared
+ */
+export function clearFiredReminders() {
+    fired = {};
+    saveFiredReminders(fired);
+}
+
+/**
+ * Every reminder for unfinished tasks with a deadline still ahead
+ */
+function collectReminders(now) {
+    // Series only need expanding as far as the longest reminder reaches
+    const longest = Math.max(0, ...getSettings().reminderOffsets,
+        ...getTasks().flatMap(task => task.reminders || []));
+    const horizon = shiftDate(today(), Math.ceil(longest / UNIT_MINUTES.d) + 1);
+
+    return getOccurrences(horizon)
+        .filter(task => getTaskStatus(task) !== 'done')
+        .flatMap(task => {
+            const deadline = getDeadline(task);
+            if (deadline <= now) return [];
+
+            return getTaskReminderOffsets(task).map(offset => ({
+                // The due date is part of the key, so moving a task re-arms its reminders
+                key: `${task.id}@${task.dueDate}:${offset}`,
+                taskId: task.id,
+                title: task.title,
+                dueDate: task.dueDate,
+                dueTime: task.dueTime || null,
+                deadline,
+                offset,
+                fireAt: deadline - offset * MINUTE_MS
+            }));
+        });
+}
+
+function pruneFired(now) {
+    const kept = Object.entries(fired).filter(([, firedAt]) => now - firedAt < FIRED_RETENTION_MS);
+    if (kept.length !== Object.keys(fired).length) {
+        fired = Object.fromEntries(kept);
+        saveFiredReminders(fired);
+    }
+}
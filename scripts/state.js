@@ -1,21 +1,71 @@
 // state.js - Application state management
 
-import { loadTasks, saveTasks, loadSettings, saveSettings } from './Storage.js';
+import { loadTasks, saveTasks, loadSettings, saveSettings, loadCourses, saveCourses, loadSavedSearches, saveSavedSearches,
+         loadPlan, savePlan, adoptRemoteTasks } from './Storage.js';
+import { expandTask, makeOccurrenceId, parseOccurrenceId } from './recurrence.js';
+import { TASK_STATUSES, TASK_PRIORITIES } from './validators.js';
+import { today, shiftDate, startOfWeek, parseDate, getDeadline, setTimeZone } from './dates.js';
+import { parseTags, getTaskTags, collectTags, renameTag as renameTagIn, removeTag } from './tags.js';
+import { parseQuery, matchesQuery } from './query.js';
+import { buildPlan } from './planner.js';
+import { getFreeMinutes, isFullyBlocked } from './timetable.js';
+import { getSubtasks, rollUpDuration, rollUpStatus } from './subtasks.js';
+import { validateDependencies, getBlockingTasks, getLatePrerequisites, sortByDependencies } from './dependencies.js';
+import { getUrgency, getQuadrant, QUADRANTS } from './urgency.js';
+import { buildAnalytics, ANALYTICS_RANGES } from './analytics.js';
+import { migrate } from './migrations.js';
 const state = {
     tasks: [],
+    courses: [],
+    savedSearches: [],
+    plan: null,
     settings: {
         timeUnit: 'minutes',
-        weeklyCap: 40
+        weeklyCap: 40,
+        focusMinutes: 25,
+        breakMinutes: 5,
+        tagColors: {},
+        reminderOffsets: [1440, 120],
+        timeZone: '',
+        availability: [2, 3, 3, 3, 3, 3, 2],
+        maxSessionMinutes: 90,
+        timetable: [],
+        studyDay: { start: '08:00', end: '22:00' }
     },
     currentPage: 'dashboard',
     editingTaskId: null,
-    searchPattern: null,
-    sortBy: 'date-desc'
+    // 'changed' or 'deleted' once another tab saves over the task open in the form
+    editingConflict: null,
+    searchQuery: null,
+    sortBy: 'date-desc',
+    courseFilter: 'all',
+    calendarView: 'month',
+    calendarDate: today(),
+    analyticsRange: 'week'
 };
 
+// Most undo steps kept; older ones are dropped
+const HISTORY_LIMIT = 50;
+
+// Snapshots of the task list taken before each change: { label, tasks }
+const history = {
+    undo: [],
+    redo: []
+};
+
+// Called after every change to the task list
+const changeListeners = [];
+
 export function initState() {
     state.tasks = loadTasks();
     state.settings = loadSettings();
+    setTimeZone(state.settings.timeZone);
+    state.calendarDate = today();
+    state.courses = loadCourses();
+    state.savedSearches = loadSavedSearches();
+    state.plan = loadPlan();
+    history.undo = [];
+    history.redo = [];
 }
 
 /**
@@ -28,72 +78,598 @@ export function getTasks() {
 
 /**
  * Get a single task by ID
- * @param {string} id - Task ID
- * @returns {Object|null} Task object or null
+ * @param {string} id - Task ID or occurrence ID
+ * @returns {Object|null} Task object, occurrence or null
  */
 export function getTaskById(id) {
+    const occurrence = parseOccurrenceId(id);
+    if (occurrence) {
+        const series = state.tasks.find(task => task.id === occurrence.seriesId);
+        if (!series) return null;
+        return expandTask(series, occurrence.date).find(item => item.id === id) || null;
+    }
+
     return state.tasks.find(task => task.id === id) || null;
 }
 
+/**
+ * Get all tasks with recurring series expanded into occurrences
+ * @param {string} [horizon] - Last date to expand open-ended series to
+ * @returns {Array} One-off tasks and occurrences
+ */
+export function getOccurrences(horizon) {
+    return state.tasks.flatMap(task => expandTask(task, horizon));
+}
+
 
 export function addTask(taskData) {
+    const task = createTaskRecord(taskData);
+    
+    recordHistory(`Add "${task.title}"`);
+    state.tasks.push(task);
+    commitTasks();
+    
+    return task;
+}
+
+
+/**
+ * Build a new task object from form or import data without saving it
+ * @param {Object} taskData - { title, duration, dueDate, dueTime?, tags, courseId?, priority?, reminders?,
+ *     subtasks?, dependsOn?, recurrence?, actualMinutes? } where tags is a list or comma-separated text
+ * @returns {Object} Task object
+ */
+export function createTaskRecord(taskData) {
     const now = new Date().toISOString();
-    const task = {
+    const subtasks = normalizeSubtasks(taskData.subtasks);
+    return {
         id: generateId(),
         title: taskData.title.trim(),
-        duration: parseFloat(taskData.duration),
+        duration: rollUpDuration(subtasks, parseFloat(taskData.duration)),
         dueDate: taskData.dueDate,
-        tag: taskData.tag.trim(),
+        dueTime: taskData.dueTime || null,
+        tags: Array.isArray(taskData.tags) ? taskData.tags : parseTags(taskData.tags),
+        courseId: taskData.courseId || null,
+        priority: TASK_PRIORITIES.includes(taskData.priority) ? taskData.priority : 'medium',
+        reminders: Array.isArray(taskData.reminders) ? taskData.reminders : null,
+        subtasks,
+        dependsOn: Array.isArray(taskData.dependsOn) ? taskData.dependsOn : [],
+        recurrence: taskData.recurrence || null,
+        // New tasks start to do; imports may bring their progress along
+        status: TASK_STATUSES.includes(taskData.status) ? taskData.status : 'todo',
+        completedAt: taskData.status === 'done' ? (taskData.completedAt || now) : null,
+        actualMinutes: taskData.actualMinutes === undefined ? null : taskData.actualMinutes,
         createdAt: now,
         updatedAt: now
     };
-    
-    state.tasks.push(task);
-    saveTasks(state.tasks);
-    
-    return task;
 }
 
 
+/**
+ * Update a task, a whole series, or a single occurrence of a series.
+ * Occurrence edits are stored as overrides on the series.
+ * A new checklist recomputes the duration when its steps have durations.
+ */
 export function updateTask(id, updates) {
+    if (Array.isArray(updates.subtasks)) {
+        const current = getTaskById(id);
+        const subtasks = normalizeSubtasks(updates.subtasks);
+        const ownDuration = updates.duration !== undefined ? updates.duration : (current ? current.duration : 0);
+        updates = { ...updates, subtasks, duration: rollUpDuration(subtasks, ownDuration) };
+    }
+
+    const occurrence = parseOccurrenceId(id);
+    if (occurrence) {
+        return updateOccurrence(occurrence.seriesId, occurrence.date, updates);
+    }
+
     const index = state.tasks.findIndex(task => task.id === id);
     
     if (index === -1) return null;
     
-    state.tasks[index] = {
+    recordHistory(`Edit "${state.tasks[index].title}"`);
+    const task = {
         ...state.tasks[index],
         ...updates,
         updatedAt: new Date().toISOString()
     };
-    
-    saveTasks(state.tasks);
+
+    // Exceptions only make sense while the task still repeats
+    if (!task.recurrence) {
+        delete task.overrides;
+        delete task.exdates;
+    }
+
+    state.tasks[index] = task;
+    commitTasks();
     
     return state.tasks[index];
 }
 
 
+function updateOccurrence(seriesId, date, updates) {
+    const series = state.tasks.find(task => task.id === seriesId);
+    if (!series) return null;
+
+    recordHistory(`Edit "${series.title}" on ${date}`);
+    const { id, recurrence, ...fields } = updates;
+    const overrides = { ...series.overrides };
+    const base = { ...series, dueDate: date };
+
+    // Only keep fields that actually differ from the series (tags are compared by value)
+    const merged = { ...overrides[date], ...fields };
+    const changed = Object.fromEntries(
+        Object.entries(merged).filter(([key, value]) => JSON.stringify(base[key]) !== JSON.stringify(value))
+    );
+
+    if (Object.keys(changed).length > 0) {
+        overrides[date] = changed;
+    } else {
+        delete overrides[date];
+    }
+
+    series.overrides = overrides;
+    series.updatedAt = new Date().toISOString();
+
+    commitTasks();
+
+    return getTaskById(makeOccurrenceId(seriesId, date));
+}
+
+
+/**
+ * Change a task's status, stamping or clearing its completion time
+ * @param {string} id - Task or occurrence ID
+ * @param {string} status - 'todo', 'in-progress' or 'done'
+ * @returns {Object|null} Updated task or null
+ */
+export function setTaskStatus(id, status) {
+    if (!TASK_STATUSES.includes(status)) return null;
+
+    return updateTask(id, {
+        status,
+        completedAt: status === 'done' ? new Date().toISOString() : null
+    });
+}
+
+/**
+ * Tick or untick a checklist step. The task's status follows the checklist:
+ * every step done marks it done, some done puts it in progress.
+ * @param {string} id - Task or occurrence ID
+ * @param {string} subtaskId - Step ID
+ * @param {boolean} done - Whether the step is done
+ * @returns {Object|null} Updated task or null
+ */
+export function toggleSubtask(id, subtaskId, done) {
+    const task = getTaskById(id);
+    if (!task || !getSubtasks(task).some(step => step.id === subtaskId)) return null;
+
+    const subtasks = getSubtasks(task).map(step => (step.id === subtaskId ? { ...step, done } : step));
+    const status = rollUpStatus(subtasks, getTaskStatus(task));
+
+    return updateTask(id, {
+        subtasks,
+        status,
+        completedAt: status === 'done' ? (task.completedAt || new Date().toISOString()) : null
+    });
+}
+
+/**
+ * Check prerequisites picked for a task: they must exist and mustn't form a loop
+ * @param {string|null} id - Saved task being edited, or null for a new task
+ * @param {Array<string>} dependsOn - Prerequisite IDs
+ * @returns {Object} { valid: boolean, message: string }
+ */
+export function checkDependencies(id, dependsOn) {
+    return validateDependencies(id, dependsOn, state.tasks);
+}
+
+/**
+ * Unfinished prerequisites holding a task up
+ * @param {Object} task - Task or occurrence
+ * @returns {Array} Prerequisite tasks; empty when the task isn't blocked
+ */
+export function getBlockingPrerequisites(task) {
+    return getBlockingTasks(task, state.tasks);
+}
+
+/**
+ * Prerequisites due after the task that needs them
+ * @param {Object} task - Task or occurrence
+ * @returns {Array} Prerequisite tasks
+ */
+export function getLatePrerequisiteTasks(task) {
+    return getLatePrerequisites(task, state.tasks);
+}
+
+/**
+ * Unfinished tasks to work on next, most pressing first. Tasks still waiting
+ * on a prerequisite are left out since they can't be started.
+ * @param {number} [limit] - Most tasks to return
+ * @returns {Array} [{ task, urgency }]
+ */
+export function getNextUp(limit = 5) {
+    return scoreOpenTasks()
+        .filter(({ task }) => getBlockingTasks(task, state.tasks).length === 0)
+        .slice(0, limit);
+}
+
+/**
+ * Unfinished tasks sorted into the urgent/important matrix
+ * @returns {Array} [{ id, label, description, items: [{ task, urgency }] }] in QUADRANTS order
+ */
+export function getPriorityMatrix() {
+    const scored = scoreOpenTasks();
+    return QUADRANTS.map(quadrant => ({
+        ...quadrant,
+        items: scored.filter(({ urgency }) => getQuadrant(urgency) === quadrant.id)
+    }));
+}
+
+// Unfinished occurrences with their urgency, highest score first
+function scoreOpenTasks() {
+    const now = Date.now();
+    return getOccurrences()
+        .filter(task => getTaskStatus(task) !== 'done')
+        .map(task => ({ task, urgency: getUrgency(task, now) }))
+        .sort((a, b) => b.urgency.score - a.urgency.score || compareDue(a.task, b.task));
+}
+
+/**
+ * Log a focus session against a task and add it to the actual time spent
+ * @param {string} id - Task or occurrence ID
+ * @param {Object} session - { start, end, minutes }
+ * @returns {Object|null} Updated task or null
+ */
+export function logTaskSession(id, session) {
+    const task = getTaskById(id);
+    if (!task) return null;
+
+    const spent = typeof task.actualMinutes === 'number' ? task.actualMinutes : 0;
+
+    return updateTask(id, {
+        sessions: [...(task.sessions || []), session],
+        actualMinutes: Math.round((spent + session.minutes) * 100) / 100
+    });
+}
+
+/**
+ * Status of a task; tasks saved before statuses existed count as 'todo'
+ * @param {Object} task - Task object
+ * @returns {string} Task status
+ */
+export function getTaskStatus(task) {
+    return task.status || 'todo';
+}
+
+/**
+ * Whether an unfinished task's deadline has passed
+ * @param {Object} task - Task or occurrence
+ * @param {number} [now] - ms timestamp to compare against
+ * @returns {boolean}
+ */
+export function isTaskOverdue(task, now = Date.now()) {
+    return getTaskStatus(task) !== 'done' && getDeadline(task) < now;
+}
+
+
 export function deleteTask(id) {
-    const initialLength = state.tasks.length;
-    state.tasks = state.tasks.filter(task => task.id !== id);
-    
-    if (state.tasks.length < initialLength) {
-        saveTasks(state.tasks);
-        return true;
+    const occurrence = parseOccurrenceId(id);
+    if (occurrence) {
+        return deleteOccurrence(occurrence.seriesId, occurrence.date);
     }
+
+    const task = state.tasks.find(item => item.id === id);
+    if (!task) return false;
     
-    return false;
+    recordHistory(`Delete "${task.title}"`);
+    // Tasks that needed this one no longer wait on it
+    state.tasks = state.tasks
+        .filter(item => item.id !== id)
+        .map(item => (Array.isArray(item.dependsOn) && item.dependsOn.includes(id)
+            ? { ...item, dependsOn: item.dependsOn.filter(prerequisite => prerequisite !== id) }
+            : item));
+    commitTasks();
+    
+    return true;
 }
 
 
-export function replaceTasks(tasks) {
+function deleteOccurrence(seriesId, date) {
+    const series = state.tasks.find(task => task.id === seriesId);
+    if (!series) return false;
+
+    const exdates = series.exdates || [];
+    if (exdates.includes(date)) return false;
+
+    recordHistory(`Delete "${series.title}" on ${date}`);
+    series.exdates = [...exdates, date];
+    series.updatedAt = new Date().toISOString();
+    commitTasks();
+
+    return true;
+}
+
+
+/**
+ * Replace the whole task list, e.g. after an import or merge
+ * @param {Array} tasks - New task list
+ * @param {string} [label] - Name of the change for undo messages
+ */
+export function replaceTasks(tasks, label = 'Import') {
+    recordHistory(label);
     state.tasks = tasks;
-    saveTasks(state.tasks);
+    commitTasks();
 }
 
 
+/**
+ * Delete every task when all data is cleared. This can't be undone: undo only
+ * restores tasks, and the courses, settings and plan are gone too.
+ */
 export function clearTasks() {
     state.tasks = [];
+    history.undo = [];
+    history.redo = [];
+    commitTasks();
+}
+
+
+/**
+ * Register a callback for changes to the task list (edits, imports, undo)
+ * @param {Function} listener - Called with no arguments after the change is saved
+ */
+export function onTasksChange(listener) {
+    changeListeners.push(listener);
+}
+
+
+function commitTasks() {
     saveTasks(state.tasks);
+    markPlanStale();
+    changeListeners.forEach(listener => listener());
+}
+
+
+/**
+ * Undo the last task change
+ * @returns {string|null} Label of the undone change, or null if there was nothing to undo
+ */
+export function undo() {
+    return restoreHistory(history.undo, history.redo);
+}
+
+
+/**
+ * Redo the last undone task change
+ * @returns {string|null} Label of the redone change, or null if there was nothing to redo
+ */
+export function redo() {
+    return restoreHistory(history.redo, history.undo);
+}
+
+
+export function canUndo() {
+    return history.undo.length > 0;
+}
+
+
+export function canRedo() {
+    return history.redo.length > 0;
+}
+
+
+/**
+ * Snapshot the task list before a change. A new change makes the redo stack stale.
+ * @param {string} label - Name of the change for undo messages
+ */
+function recordHistory(label) {
+    history.undo.push({ label, tasks: cloneTasks(state.tasks) });
+    if (history.undo.length > HISTORY_LIMIT) history.undo.shift();
+    history.redo = [];
+}
+
+
+/**
+ * Move the newest snapshot from one stack to the other, restoring it
+ */
+function restoreHistory(from, to) {
+    const entry = from.pop();
+    if (!entry) return null;
+
+    to.push({ label: entry.label, tasks: cloneTasks(state.tasks) });
+    state.tasks = entry.tasks;
+    commitTasks();
+
+    return entry.label;
+}
+
+
+// Series edits mutate nested objects in place, so snapshots must be deep copies
+function cloneTasks(tasks) {
+    return JSON.parse(JSON.stringify(tasks));
+}
+
+
+/**
+ * Every tag in use with its task count
+ * @returns {Array<Object>} [{ name, count }]
+ */
+export function getTagSummary() {
+    return collectTags(state.tasks);
+}
+
+
+/**
+ * Rename a tag on every task; renaming onto an existing tag merges them.
+ * The old tag's colour carries over unless the target already has one.
+ * @param {string} from - Current tag name
+ * @param {string} to - New tag name
+ * @returns {number} Number of tasks changed
+ */
+export function renameTag(from, to) {
+    const merging = collectTags(state.tasks).some(tag => tag.name === to);
+    const result = renameTagIn(state.tasks, from, to);
+
+    if (result.changed > 0) {
+        replaceTasks(result.tasks, merging ? `Merge tag "${from}" into "${to}"` : `Rename tag "${from}"`);
+    }
+
+    // The old name keeps its colour too, so undoing the rename brings it back as it was
+    const colors = state.settings.tagColors;
+    if (colors[from] && !colors[to]) {
+        updateSettings({ tagColors: { ...colors, [to]: colors[from] } });
+    }
+
+    return result.changed;
+}
+
+
+/**
+ * Remove a tag from every task
+ * @param {string} name - Tag name
+ * @returns {Object} { changed, untagged }
+ */
+export function deleteTag(name) {
+    const result = removeTag(state.tasks, name);
+
+    // The colour is kept so undo restores the tag unchanged
+    if (result.changed > 0) {
+        replaceTasks(result.tasks, `Delete tag "${name}"`);
+    }
+
+    return { changed: result.changed, untagged: result.untagged };
+}
+
+
+/**
+ * Choose a tag's colour
+ * @param {string} name - Tag name
+ * @param {string} color - '#rrggbb'
+ */
+export function setTagColor(name, color) {
+    updateSettings({ tagColors: { ...state.settings.tagColors, [name]: color } });
+}
+
+
+/**
+ * Get all courses
+ * @returns {Array} Courses in the order they were added
+ */
+export function getCourses() {
+    return [...state.courses];
+}
+
+
+/**
+ * Get a course by ID
+ * @param {string|null} id - Course ID
+ * @returns {Object|null} Course or null
+ */
+export function getCourseById(id) {
+    return state.courses.find(course => course.id === id) || null;
+}
+
+
+/**
+ * Add a course
+ * @param {Object} courseData - { name, credits, instructor, term, weeklyBudget } as typed
+ * @returns {Object} New course
+ */
+export function addCourse(courseData) {
+    const now = new Date().toISOString();
+    const course = {
+        id: generateId('course'),
+        ...normalizeCourse(courseData),
+        createdAt: now,
+        updatedAt: now
+    };
+
+    state.courses.push(course);
+    saveCourses(state.courses);
+
+    return course;
+}
+
+
+export function updateCourse(id, courseData) {
+    const index = state.courses.findIndex(course => course.id === id);
+    if (index === -1) return null;
+
+    state.courses[index] = {
+        ...state.courses[index],
+        ...normalizeCourse(courseData),
+        updatedAt: new Date().toISOString()
+    };
+    saveCourses(state.courses);
+
+    return state.courses[index];
+}
+
+
+/**
+ * Delete a course. Its tasks are kept and no longer belong to a course.
+ * @param {string} id - Course ID
+ * @returns {boolean} Whether the course existed
+ */
+export function deleteCourse(id) {
+    const course = getCourseById(id);
+    if (!course) return false;
+
+    state.courses = state.courses.filter(item => item.id !== id);
+    saveCourses(state.courses);
+
+    if (state.tasks.some(task => task.courseId === id)) {
+        replaceTasks(
+            state.tasks.map(task => (task.courseId === id ? { ...task, courseId: null } : task)),
+            `Delete course "${course.name}"`
+        );
+    }
+    if (state.courseFilter === id) state.courseFilter = 'all';
+
+    return true;
+}
+
+
+export function clearCourses() {
+    state.courses = [];
+    state.courseFilter = 'all';
+    saveCourses(state.courses);
+}
+
+
+/**
+ * Add imported courses this device doesn't have yet (matched by ID)
+ * @param {Array} courses - Courses from an import
+ * @returns {number} Number of courses added
+ */
+export function importCourses(courses) {
+    const known = new Set(state.courses.map(course => course.id));
+    const added = courses.filter(course => !known.has(course.id));
+
+    if (added.length > 0) {
+        state.courses = [...state.courses, ...added];
+        saveCourses(state.courses);
+    }
+
+    return added.length;
+}
+
+
+/**
+ * Course form values as stored: numbers for credits and budget, null when left blank
+ */
+function normalizeCourse(courseData) {
+    const text = value => (value && String(value).trim()) || null;
+    const number = value => (text(value) === null ? null : parseFloat(value));
+
+    return {
+        name: String(courseData.name).trim(),
+        credits: number(courseData.credits),
+        instructor: text(courseData.instructor),
+        term: text(courseData.term),
+        weeklyBudget: number(courseData.weeklyBudget)
+    };
 }
 
 
@@ -107,7 +683,111 @@ export function updateSettings(updates) {
         ...state.settings,
         ...updates
     };
+    if (updates.timeZone !== undefined) setTimeZone(updates.timeZone);
     saveSettings(state.settings);
+
+    if (PLAN_SETTINGS.some(key => key in updates)) markPlanStale();
+}
+
+// Settings the work plan is built from
+const PLAN_SETTINGS = ['availability', 'maxSessionMinutes', 'weeklyCap', 'timeZone', 'timetable', 'studyDay'];
+
+
+/**
+ * Latest work plan
+ * @returns {Object|null} Plan from buildPlan() plus { generatedAt, stale }, or null before the first one
+ */
+export function getPlan() {
+    return state.plan;
+}
+
+
+/**
+ * Build a fresh work plan from today for every unfinished task
+ * @returns {Object} The new plan
+ */
+export function replan() {
+    const startDate = today();
+    const settings = state.settings;
+    const tasks = getOccurrences(shiftDate(startDate, 90)).filter(task => getTaskStatus(task) !== 'done');
+
+    state.plan = {
+        ...buildPlan(tasks, {
+            startDate,
+            availability: getPlanningHours(),
+            weeklyCap: settings.weeklyCap,
+            maxSessionMinutes: settings.maxSessionMinutes
+        }),
+        generatedAt: new Date().toISOString(),
+        stale: false
+    };
+    savePlan(state.plan);
+
+    return state.plan;
+}
+
+
+/**
+ * Hours the planner may use on each weekday: the hours set on the Planner page,
+ * limited by the free time the timetable leaves once it has any slots
+ * @returns {Array<number>} Hours, Sunday first
+ */
+export function getPlanningHours() {
+    const { availability, timetable, studyDay } = state.settings;
+    if (timetable.length === 0) return [...availability];
+
+    return availability.map((hours, day) => Math.min(hours, getFreeMinutes(day, timetable, studyDay) / 60));
+}
+
+
+/**
+ * Add a slot to the weekly timetable
+ * @param {Object} slot - { day, start, end, kind, label } already validated
+ * @returns {Object} Saved slot
+ */
+export function addTimeSlot(slot) {
+    const saved = {
+        id: generateId('slot'),
+        day: slot.day,
+        start: slot.start,
+        end: slot.end,
+        kind: slot.kind,
+        label: slot.label ? slot.label.trim() : ''
+    };
+    const timetable = [...state.settings.timetable, saved]
+        .sort((a, b) => a.day - b.day || a.start.localeCompare(b.start));
+
+    updateSettings({ timetable });
+    return saved;
+}
+
+
+export function deleteTimeSlot(id) {
+    updateSettings({ timetable: state.settings.timetable.filter(slot => slot.id !== id) });
+}
+
+
+/**
+ * Whether a task is due on a weekday the timetable blocks completely
+ * @param {Object} task - Task or occurrence
+ * @returns {boolean}
+ */
+export function isDueOnBlockedDay(task) {
+    return isFullyBlocked(task.dueDate, state.settings.timetable, state.settings.studyDay);
+}
+
+
+export function clearPlan() {
+    state.plan = null;
+    savePlan(null);
+}
+
+
+// The plan no longer matches the tasks or settings it was built from
+function markPlanStale() {
+    if (!state.plan || state.plan.stale) return;
+    state.plan = { ...state.plan, stale: true };
+    savePlan(state.plan);
 }
 
 
@@ -123,6 +803,7 @@ export function getCurrentPage() {
 
 export function setEditingTaskId(id) {
     state.editingTaskId = id;
+    state.editingConflict = null;
 }
 
 
@@ -131,13 +812,141 @@ export function getEditingTaskId() {
 }
 
 
-export function setSearchPattern(pattern) {
-    state.searchPattern = pattern;
+/**
+ * Whether another tab changed the task open in the form since editing began
+ * @returns {string|null} 'changed', 'deleted', or null when there's nothing to resolve
+ */
+export function getEditingConflict() {
+    return state.editingConflict;
+}
+
+
+/**
+ * Mark the conflict as dealt with: the form was reloaded, or its values are to be kept
+ */
+export function resolveEditingConflict() {
+    state.editingConflict = null;
+}
+
+
+/**
+ * Take in a change saved by another tab (see sync.js)
+ * @param {Object} change - { kind, data } where data is the saved task envelope for 'tasks'
+ * @throws {Error} If the tasks were saved by a newer version of the planner
+ */
+export function applyRemoteChange(change) {
+    switch (change.kind) {
+        case 'tasks': {
+            const editing = state.editingTaskId;
+            const before = editing ? JSON.stringify(getTaskById(editing)) : null;
+
+            adoptRemoteTasks(change.data);
+            state.tasks = migrate(change.data).tasks;
+            // Snapshots from before the other tab's change would quietly undo it
+            history.undo = [];
+            history.redo = [];
+
+            const after = editing ? getTaskById(editing) : null;
+            if (editing && !state.editingConflict && JSON.stringify(after) !== before) {
+                state.editingConflict = after ? 'changed' : 'deleted';
+            }
+            break;
+        }
+        case 'settings':
+            state.settings = loadSettings();
+            setTimeZone(state.settings.timeZone);
+            break;
+        case 'courses':
+            state.courses = loadCourses();
+            if (!['all', 'none'].includes(state.courseFilter) && !getCourseById(state.courseFilter)) {
+                state.courseFilter = 'all';
+            }
+            break;
+        case 'searches':
+            state.savedSearches = loadSavedSearches();
+            break;
+        case 'plan':
+            state.plan = loadPlan();
+            break;
+    }
+}
+
+
+/**
+ * Set the parsed search query (see query.js), or null to show everything
+ */
+export function setSearchQuery(query) {
+    state.searchQuery = query;
 }
 
 
+export function getSearchQuery() {
+    return state.searchQuery;
+}
+
+
+/**
+ * Pattern for highlighting search matches in titles and tags
+ * @returns {RegExp|null}
+ */
 export function getSearchPattern() {
-    return state.searchPattern;
+    return state.searchQuery ? state.searchQuery.highlight : null;
+}
+
+
+/**
+ * Get saved searches (smart lists)
+ * @returns {Array} [{ id, name, query, caseSensitive, sortBy }]
+ */
+export function getSavedSearches() {
+    return [...state.savedSearches];
+}
+
+
+/**
+ * Save a search under a name. Saving again under the same name (any case) replaces it.
+ * @param {Object} search - { name, query, caseSensitive, sortBy }
+ * @returns {Object} Saved search
+ */
+export function saveSearch(search) {
+    const existing = state.savedSearches.find(item => item.name.toLowerCase() === search.name.toLowerCase());
+    const saved = {
+        id: existing ? existing.id : generateId('search'),
+        name: search.name,
+        query: search.query,
+        caseSensitive: Boolean(search.caseSensitive),
+        sortBy: search.sortBy
+    };
+
+    state.savedSearches = existing
+        ? state.savedSearches.map(item => (item.id === existing.id ? saved : item))
+        : [...state.savedSearches, saved];
+    saveSavedSearches(state.savedSearches);
+
+    return saved;
+}
+
+
+export function deleteSavedSearch(id) {
+    state.savedSearches = state.savedSearches.filter(item => item.id !== id);
+    saveSavedSearches(state.savedSearches);
+}
+
+
+export function clearSavedSearches() {
+    state.savedSearches = [];
+    saveSavedSearches(state.savedSearches);
+}
+
+
+/**
+ * Number of tasks a saved search currently finds (course filter not applied)
+ * @param {Object} search - Saved search
+ * @returns {number}
+ */
+export function countSavedSearch(search) {
+    const { query } = parseQuery(search.query, search.caseSensitive);
+    return query ? filterByQuery(getOccurrences(), query).length : getOccurrences().length;
 }
 
 
@@ -151,30 +960,116 @@ export function getSortBy() {
 }
 
 
-function generateId() {
-    return 'task_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+/**
+ * Limit the task list to one course
+ * @param {string} filter - 'all', 'none' (no course) or a course ID
+ */
+export function setCourseFilter(filter) {
+    state.courseFilter = filter;
+}
+
+
+export function getCourseFilter() {
+    return state.courseFilter;
+}
+
+
+export function setCalendarView(view) {
+    state.calendarView = view;
+}
+
+
+export function getCalendarView() {
+    return state.calendarView;
+}
+
+
+export function setCalendarDate(date) {
+    state.calendarDate = date;
+}
+
+
+export function getCalendarDate() {
+    return state.calendarDate;
+}
+
+
+export function setAnalyticsRange(range) {
+    if (ANALYTICS_RANGES[range]) state.analyticsRange = range;
+}
+
+
+export function getAnalyticsRange() {
+    return state.analyticsRange;
+}
+
+/**
+ * Analytics for the selected range, ending today
+ * @returns {Object} See buildAnalytics()
+ */
+export function getAnalytics() {
+    const todayStr = today();
+    return buildAnalytics(getOccurrences(todayStr), {
+        range: state.analyticsRange,
+        endDate: todayStr,
+        weeklyCap: state.settings.weeklyCap
+    });
+}
+
+
+function generateId(prefix = 'task') {
+    return prefix + '_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+// Tidy checklist steps from the form or an import: trimmed titles, numeric durations, ids for new steps
+function normalizeSubtasks(subtasks) {
+    return (Array.isArray(subtasks) ? subtasks : [])
+        .filter(step => step && String(step.title || '').trim())
+        .map(step => {
+            const duration = step.duration === null || step.duration === undefined || step.duration === ''
+                ? null
+                : parseFloat(step.duration);
+            return {
+                id: step.id || generateId('step'),
+                title: String(step.title).trim(),
+                duration: Number.isFinite(duration) ? duration : null,
+                done: Boolean(step.done)
+            };
+        });
 }
 
 
 export function getFilteredSortedTasks() {
-    let tasks = [...state.tasks];
+    let tasks = getOccurrences();
     
     
-    if (state.searchPattern) {
-        tasks = tasks.filter(task => {
-            return state.searchPattern.test(task.title) ||
-                   state.searchPattern.test(task.tag) ||
-                   state.searchPattern.test(task.dueDate);
-        });
+    if (state.courseFilter !== 'all') {
+        tasks = tasks.filter(task => getTaskCourseId(task) === (state.courseFilter === 'none' ? null : state.courseFilter));
+    }
+    
+    
+    if (state.searchQuery) {
+        tasks = filterByQuery(tasks, state.searchQuery);
     }
     
+    // Prerequisites first, then earliest due
+    if (state.sortBy === 'dependencies') {
+        return sortByDependencies(tasks, compareDue);
+    }
+    
+    // Most pressing first; scores are worked out once rather than per comparison
+    if (state.sortBy === 'urgency') {
+        const now = Date.now();
+        const scores = new Map(tasks.map(task => [task.id, getUrgency(task, now).score]));
+        return tasks.sort((a, b) => scores.get(b.id) - scores.get(a.id) || compareDue(a, b));
+    }
     
     tasks.sort((a, b) => {
         switch (state.sortBy) {
             case 'date-asc':
-                return new Date(a.dueDate) - new Date(b.dueDate);
+                return compareDue(a, b);
             case 'date-desc':
-                return new Date(b.dueDate) - new Date(a.dueDate);
+                return compareDue(b, a);
             case 'title-asc':
                 return a.title.localeCompare(b.title);
             case 'title-desc':
@@ -183,6 +1078,10 @@ export function getFilteredSortedTasks() {
                 return a.duration - b.duration;
             case 'duration-desc':
                 return b.duration - a.duration;
+            case 'tag-asc':
+                return compareTags(a, b);
+            case 'tag-desc':
+                return compareTags(b, a);
             default:
                 return 0;
         }
@@ -193,9 +1092,11 @@ export function getFilteredSortedTasks() {
 
 
 export function calculateStats() {
-    const tasks = state.tasks;
-    const now = new Date();
-    const sevenDaysAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+    const tasks = getOccurrences();
+    // Calendar days in the chosen time zone, so "today" is the user's today wherever they are
+    const todayStr = today();
+    const weekAgo = shiftDate(todayStr, -6);
+    const inLastWeek = task => task.dueDate >= weekAgo && task.dueDate <= todayStr;
     
     const total = tasks.length;
     
@@ -204,46 +1105,162 @@ export function calculateStats() {
     const totalHours = (totalMinutes / 60).toFixed(1);
     
    
+    // Each tag on a task counts, so a task tagged "Physics, Lab" adds to both
     const tagCounts = {};
     tasks.forEach(task => {
-        tagCounts[task.tag] = (tagCounts[task.tag] || 0) + 1;
+        getTaskTags(task).forEach(tag => {
+            tagCounts[tag] = (tagCounts[tag] || 0) + 1;
+        });
     });
     const topTag = Object.keys(tagCounts).length > 0
         ? Object.keys(tagCounts).reduce((a, b) => tagCounts[a] > tagCounts[b] ? a : b)
         : '—';
     
     
-    const recentTasks = tasks.filter(task => {
-        const taskDate = new Date(task.dueDate);
-        return taskDate >= sevenDaysAgo && taskDate <= now;
-    }).length;
+    const recentTasks = tasks.filter(inLastWeek).length;
     
     
-    const weeklyMinutes = tasks.filter(task => {
-        const taskDate = new Date(task.dueDate);
-        return taskDate >= sevenDaysAgo && taskDate <= now;
-    }).reduce((sum, task) => sum + task.duration, 0);
+    const weeklyMinutes = tasks.filter(inLastWeek).reduce((sum, task) => sum + task.duration, 0);
     const weeklyHours = weeklyMinutes / 60;
     
     
     const trendData = [];
     for (let i = 6; i >= 0; i--) {
-        const date = new Date(now.getTime() - i * 24 * 60 * 60 * 1000);
-        const dateStr = date.toISOString().split('T')[0];
+        const dateStr = shiftDate(todayStr, -i);
         const dayTasks = tasks.filter(task => task.dueDate === dateStr);
         trendData.push({
             date: dateStr,
-            label: date.toLocaleDateString('en-US', { weekday: 'short' }),
+            label: parseDate(dateStr).toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' }),
             count: dayTasks.length
         });
     }
     
+    
+    const doneTasks = tasks.filter(task => getTaskStatus(task) === 'done');
+    const completionRate = total > 0 ? Math.round((doneTasks.length / total) * 100) : 0;
+    const completedMinutes = doneTasks.reduce((sum, task) => sum + getSpentMinutes(task), 0);
+    const completedHours = (completedMinutes / 60).toFixed(1);
+    const overdue = tasks.filter(task => isTaskOverdue(task)).length;
+    
+    
+    const recentlyCompleted = doneTasks
+        .filter(task => task.completedAt)
+        .sort((a, b) => b.completedAt.localeCompare(a.completedAt))
+        .slice(0, 10);
+    
+    
+    const trackedTasks = tasks
+        .filter(task => task.sessions && task.sessions.length > 0)
+        .map(task => ({
+            id: task.id,
+            title: task.title,
+            planned: task.duration,
+            actual: getSpentMinutes(task),
+            sessions: task.sessions.length
+        }));
+    const focusMinutes = trackedTasks.reduce((sum, task) => sum + task.actual, 0);
+    const focusPlannedMinutes = trackedTasks.reduce((sum, task) => sum + task.planned, 0);
+    
     return {
         total,
         totalHours,
         topTag,
         recentTasks,
         weeklyHours,
-        trendData
+        trendData,
+        completed: doneTasks.length,
+        completionRate,
+        completedHours,
+        overdue,
+        recentlyCompleted,
+        trackedTasks,
+        focusMinutes,
+        focusPlannedMinutes
     };
 }
+
+
+/**
+ * Per-course workload: hours due this week against the course budget, planned and
+ * completed hours, and the next few deadlines. Tasks without a course are grouped last.
+ * @returns {Array<Object>} [{ course, weekHours, budget, plannedHours, completedHours, upcoming }]
+ */
+export function calculateCourseStats() {
+    const tasks = getOccurrences();
+    const todayStr = today();
+    const weekStart = startOfWeek(todayStr);
+    const weekEnd = shiftDate(weekStart, 6);
+
+    const groups = [...state.courses.map(course => course.id), null].map(courseId => {
+        const courseTasks = tasks.filter(task => getTaskCourseId(task) === courseId);
+        const course = courseId ? getCourseById(courseId) : null;
+        const sum = list => list.reduce((total, task) => total + task.duration, 0);
+
+        const weekMinutes = sum(courseTasks.filter(task => task.dueDate >= weekStart && task.dueDate <= weekEnd));
+        const done = courseTasks.filter(task => getTaskStatus(task) === 'done');
+
+        return {
+            course,
+            taskCount: courseTasks.length,
+            weekHours: weekMinutes / 60,
+            budget: course ? course.weeklyBudget : null,
+            plannedHours: sum(courseTasks) / 60,
+            completedHours: done.reduce((total, task) => total + getSpentMinutes(task), 0) / 60,
+            upcoming: courseTasks
+                .filter(task => getTaskStatus(task) !== 'done' && task.dueDate >= todayStr)
+                .sort(compareDue)
+                .slice(0, 3)
+        };
+    });
+
+    // Skip the "no course" group when every task has a course
+    return groups.filter(group => group.course || group.taskCount > 0);
+}
+
+
+/**
+ * Earlier deadline first; on the same day, tasks with a due time come before all-day ones
+ */
+function compareDue(a, b) {
+    return a.dueDate.localeCompare(b.dueDate) ||
+        (a.dueTime || '24:00').localeCompare(b.dueTime || '24:00');
+}
+
+
+/**
+ * Tasks matching a parsed search query
+ */
+function filterByQuery(tasks, query) {
+    return tasks.filter(task => {
+        const course = getCourseById(getTaskCourseId(task));
+        return matchesQuery(task, query, { courseName: course ? course.name : null });
+    });
+}
+
+
+/**
+ * Course a task belongs to; IDs of deleted courses count as no course
+ */
+function getTaskCourseId(task) {
+    return task.courseId && getCourseById(task.courseId) ? task.courseId : null;
+}
+
+
+/**
+ * Order by tag list, alphabetically; untagged tasks sort after every tag
+ */
+function compareTags(a, b) {
+    const aTags = [...getTaskTags(a)].sort((x, y) => x.localeCompare(y));
+    const bTags = [...getTaskTags(b)].sort((x, y) => x.localeCompare(y));
+
+    if (aTags.length === 0 || bTags.length === 0) return bTags.length - aTags.length;
+    return aTags.join(', ').localeCompare(bTags.join(', '));
+}
+
+
+/**
+ * Minutes actually spent on a task, falling back to the planned duration
+ */
+function getSpentMinutes(task) {
+    return typeof task.actualMinutes === 'number' ? task.actualMinutes : task.duration;
+}
@@ -0,0 +1,81 @@
+// subtasks.js - Checklists inside a task and what they add up to
+
+/**
+ * Checklist steps on a task; tasks without a checklist have an empty list
+ * @param {Object} task - Task or occurrence
+ * @returns {Array<Object>} [{ id, title, duration, done }] in order
+ */
+export function getSubtasks(task) {
+    return Array.isArray(task.subtasks) ? task.subtasks : [];
+}
+
+/**
+ * How far through its checklist a task is. Steps are weighed by their
+ * duration when every step has one, otherwise each step counts the same.
+ * @param {Object} task - Task or occurrence
+ * @returns {Object} { done, total, percent } - percent is 0 for an empty checklist
+ */
+export function getChecklistProgress(task) {
+    const subtasks = getSubtasks(task);
+    const done = subtasks.filter(step => step.done).length;
+    const timed = subtasks.length > 0 && subtasks.every(step => step.duration > 0);
+
+    const weight = step => (timed ? step.duration : 1);
+    const totalWeight = subtasks.reduce((sum, step) => sum + weight(step), 0);
+    const doneWeight = subtasks.filter(step => step.done).reduce((sum, step) => sum + weight(step), 0);
+
+    return {
+        done,
+        total: subtasks.length,
+        percent: totalWeight > 0 ? Math.round(doneWeight / totalWeight * 100) : 0
+    };
+}
+
+/**
+ * Whether any step has its own duration, so the task's duration comes from the checklist
+ * @param {Array} subtasks - Steps
+ * @returns {boolean}
+ */
+export function hasTimedSubtasks(subtasks) {
+    return subtasks.some(step => typeof step.duration === 'number');
+}
+
+/**
+ * Planned minutes for a task: the sum of its step durations when any step
+ * has one, otherwise the task's own duration
+ * @param {Array} subtasks - Steps
+ * @param {number} ownDuration - Duration typed for the task itself
+ * @returns {number}
+ */
+export function rollUpDuration(subtasks, ownDuration) {
+    if (!hasTimedSubtasks(subtasks)) return ownDuration;
+    return subtasks.reduce((sum, step) => sum + (step.duration || 0), 0);
+}
+
+/**
+ * Minutes of checklist work not ticked off yet, or null when no step has a duration
+ * @param {Object} task - Task or occurrence
+ * @returns {number|null}
+ */
+export function getOpenSubtaskMinutes(task) {
+    const subtasks = getSubtasks(task);
+    if (!hasTimedSubtasks(subtasks)) return null;
+    return subtasks.filter(step => !step.done).reduce((sum, step) => sum + (step.duration || 0), 0);
+}
+
+/**
+ * Status implied by ticking steps: all done is done, some done is in progress,
+ * and unticking everything on a finished task sends it back to do.
+ * An empty checklist leaves the status alone.
+ * @param {Array} subtasks - Steps after the change
+ * @param {string} status - Current status
+ * @returns {string}
+ */
+export function rollUpStatus(subtasks, status) {
+    if (subtasks.length === 0) return status;
+
+    const done = subtasks.filter(step => step.done).length;
+    if (done === subtasks.length) return 'done';
+    if (done > 0) return 'in-progress';
+    return status === 'done' ? 'todo' : status;
+}
@@ -0,0 +1,68 @@
+// sync.js - Keeps open tabs in step: every save is announced, other tabs take it in
+
+const CHANNEL_NAME = 'campus-planner';
+
+// Fallback where BroadcastChannel is missing: each message is written here and
+// removed straight away, which fires a storage event in every other tab
+const SYNC_KEY = 'campus-planner:sync';
+
+// Tells this tab's own messages apart from other tabs'
+const tabId = `tab_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+
+let channel = null;
+let listening = false;
+
+/**
+ * Start listening for changes saved in other tabs. Until this is called,
+ * announceChange() does nothing, so saves during startup stay local.
+ * @param {Function} onChange - Called with { kind, data } for each change from another tab
+ * @returns {boolean} Whether tabs can be kept in step in this browser
+ */
+export function initSync(onChange) {
+    const receive = message => {
+        if (message && message.source !== tabId && message.kind) {
+            onChange({ kind: message.kind, data: message.data });
+        }
+    };
+
+    if (typeof BroadcastChannel === 'function') {
+        channel = new BroadcastChannel(CHANNEL_NAME);
+        channel.addEventListener('message', e => receive(e.data));
+    } else if (typeof window !== 'undefined' && typeof localStorage !== 'undefined') {
+        window.addEventListener('storage', e => {
+            if (e.key !== SYNC_KEY || !e.newValue) return;
+            try {
+                receive(JSON.parse(e.newValue));
+            } catch (error) {
+                console.warn('Ignoring unreadable sync message:', error);
+            }
+        });
+    } else {
+        return false;
+    }
+
+    listening = true;
+    return true;
+}
+
+/**
+ * Tell other tabs something was saved
+ * @param {string} kind - 'tasks', 'settings', 'courses', 'searches', 'plan' or 'timer'
+ * @param {*} [data] - Saved value other tabs can't read back themselves, e.g. tasks kept in IndexedDB
+ */
+export function announceChange(kind, data = null) {
+    if (!listening) return;
+    const message = { kind, data, source: tabId };
+
+    try {
+        if (channel) {
+            channel.postMessage(message);
+        } else {
+            localStorage.setItem(SYNC_KEY, JSON.stringify(message));
+            localStorage.removeItem(SYNC_KEY);
+        }
+    } catch (error) {
+        // The change is saved either way; other tabs just see it on their next load
+        console.warn('Could not tell other tabs about a change:', error);
+    }
+}
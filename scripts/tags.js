@@ -0,0 +1,157 @@
+// tags.js - Tag lists, colours and tag-wide edits across tasks
+
+/**
+ * Colours handed out to tags the user hasn't coloured yet. Light enough for dark text.
+ */
+export const TAG_PALETTE = ['#93c5fd', '#86efac', '#fcd34d', '#f9a8d4', '#c4b5fd', '#fdba74', '#5eead4', '#fca5a5'];
+
+/**
+ * Split a typed tag list ("Physics, Group-Work") into tags.
+ * Commas and semicolons both separate; repeats are dropped, ignoring case.
+ * @param {string} text - Tag list as typed
+ * @returns {Array<string>} Tags in the order given
+ */
+export function parseTags(text) {
+    const seen = new Set();
+
+    return String(text || '')
+        .split(/[,;]/)
+        .map(tag => tag.trim().replace(/\s+/g, ' '))
+        .filter(tag => {
+            const key = tag.toLowerCase();
+            if (!tag || seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * Join tags for display or a text field
+ * @param {Array<string>} tags - Tags
+ * @returns {string} e.g. "Physics, Group-Work"
+ */
+export function formatTags(tags) {
+    return (tags || []).join(', ');
+}
+
+/**
+ * Tags on a task; untagged tasks have an empty list
+ * @param {Object} task - Task or occurrence
+ * @returns {Array<string>}
+ */
+export function getTaskTags(task) {
+    return Array.isArray(task.tags) ? task.tags : [];
+}
+
+/**
+ * Every tag in use, with how many tasks carry it. Series count once;
+ * tags that only appear on an edited occurrence count too.
+ * @param {Array} tasks - Saved tasks (not expanded occurrences)
+ * @returns {Array<Object>} [{ name, count }] sorted by name
+ */
+export function collectTags(tasks) {
+    const counts = new Map();
+
+    tasks.forEach(task => {
+        const names = new Set(getTaskTags(task));
+        Object.values(task.overrides || {}).forEach(override => {
+            (override.tags || []).forEach(tag => names.add(tag));
+        });
+        names.forEach(name => counts.set(name, (counts.get(name) || 0) + 1));
+    });
+
+    return [...counts.entries()]
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Rename a tag on every task. Renaming onto a tag that already exists merges the two.
+ * @param {Array} tasks - Saved tasks
+ * @param {string} from - Current tag name
+ * @param {string} to - New tag name
+ * @returns {Object} { tasks, changed } - New task list and number of tasks touched
+ */
+export function renameTag(tasks, from, to) {
+    return editTags(tasks, tags => {
+        if (!tags.includes(from)) return tags;
+        return [...new Set(tags.map(tag => (tag === from ? to : tag)))];
+    });
+}
+
+/**
+ * Remove a tag from every task
+ * @param {Array} tasks - Saved tasks
+ * @param {string} name - Tag to remove
+ * @returns {Object} { tasks, changed, untagged } - untagged counts tasks left with no tags
+ */
+export function removeTag(tasks, name) {
+    const result = editTags(tasks, tags => tags.filter(tag => tag !== name));
+    const untagged = result.tasks.filter((task, index) => {
+        return getTaskTags(task).length === 0 && getTaskTags(tasks[index]).length > 0;
+    }).length;
+
+    return { ...result, untagged };
+}
+
+/**
+ * Colour for a tag: the user's choice, otherwise a stable palette colour
+ * @param {string} tag - Tag name
+ * @param {Object} colors - Map of tag -> '#rrggbb' from settings
+ * @returns {string} Hex colour
+ */
+export function getTagColor(tag, colors = {}) {
+    if (colors[tag]) return colors[tag];
+
+    let hash = 0;
+    for (const char of tag.toLowerCase()) {
+        hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    }
+    return TAG_PALETTE[hash % TAG_PALETTE.length];
+}
+
+/**
+ * Dark or light text, whichever reads better on a colour
+ * @param {string} hex - '#rrggbb'
+ * @returns {string} Hex colour for text
+ */
+export function getTagTextColor(hex) {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+    const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    return luminance > 0.5 ? '#151515' : '#ffffff';
+}
+
+/**
+ * Apply a tag list edit to every task and occurrence override, bumping updatedAt
+ * on tasks that changed so merges and sync see the edit as newer
+ */
+function editTags(tasks, edit) {
+    const now = new Date().toISOString();
+    let changed = 0;
+
+    const updated = tasks.map(task => {
+        const tags = edit(getTaskTags(task));
+        let touched = !sameTags(tags, getTaskTags(task));
+        let overrides = task.overrides;
+
+        if (overrides) {
+            overrides = Object.fromEntries(Object.entries(overrides).map(([date, override]) => {
+                if (!override.tags) return [date, override];
+                const overrideTags = edit(override.tags);
+                if (sameTags(overrideTags, override.tags)) return [date, override];
+                touched = true;
+                return [date, { ...override, tags: overrideTags }];
+            }));
+        }
+
+        if (!touched) return task;
+        changed++;
+        return { ...task, tags, ...(overrides ? { overrides } : {}), updatedAt: now };
+    });
+
+    return { tasks: updated, changed };
+}
+
+function sameTags(a, b) {
+    return a.length === b.length && a.every((tag, i) => tag === b[i]);
+}
@@ -0,0 +1,199 @@
+// timer.js - Pomodoro-style focus timer that logs sessions against tasks
+
+import { loadTimer, saveTimer } from './Storage.js';
+import { getSettings, getTaskById, logTaskSession } from './state.js';
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Active timer, or null when idle:
+ * {
+ *   taskId, taskTitle,
+ *   phase: 'work' | 'break',
+ *   running: boolean,
+ *   segmentStartedAt: ms timestamp of the current running stretch (null when paused),
+ *   elapsedMs: time already spent in this phase before the current stretch,
+ *   sessionStart: ISO time the current work phase began
+ * }
+ */
+let timer = null;
+
+/**
+ * Restore a timer saved before a reload, catching up on time that passed meanwhile
+ * @returns {Array} Phase changes that happened while the page was closed
+ */
+export function initTimer() {
+    timer = loadTimer();
+    return timer ? tickTimer() : [];
+}
+
+/**
+ * Pick up the timer as another tab saved it, e.g. after it was paused or stopped there
+ * @returns {Object|null} Timer snapshot
+ */
+export function reloadTimer() {
+    timer = loadTimer();
+    return getTimerSnapshot();
+}
+
+/**
+ * Start a work phase for a task, replacing any timer that is already running
+ * @param {string} taskId - Task or occurrence ID
+ * @returns {Object|null} Timer snapshot or null if the task doesn't exist
+ */
+export function startTimer(taskId) {
+    const task = getTaskById(taskId);
+    if (!task) return null;
+
+    if (timer) stopTimer();
+
+    const now = Date.now();
+    timer = {
+        taskId,
+        taskTitle: task.title,
+        phase: 'work',
+        running: true,
+        segmentStartedAt: now,
+        elapsedMs: 0,
+        sessionStart: new Date(now).toISOString()
+    };
+    saveTimer(timer);
+
+    return getTimerSnapshot();
+}
+
+export function pauseTimer() {
+    if (!timer || !timer.running) return;
+
+    timer.elapsedMs += Date.now() - timer.segmentStartedAt;
+    timer.segmentStartedAt = null;
+    timer.running = false;
+    saveTimer(timer);
+}
+
+export function resumeTimer() {
+    if (!timer || timer.running) return;
+
+    const now = Date.now();
+    if (timer.phase === 'work' && timer.elapsedMs === 0) {
+        timer.sessionStart = new Date(now).toISOString();
+    }
+    timer.segmentStartedAt = now;
+    timer.running = true;
+    saveTimer(timer);
+}
+
+/**
+ * Stop the timer, logging any unfinished work time against the task
+ * @returns {Object|null} Logged session or null if nothing was logged
+ */
+export function stopTimer() {
+    if (!timer) return null;
+
+    const session = timer.phase === 'work' ? logWork(Date.now(), getElapsedMs(Date.now())) : null;
+    timer = null;
+    saveTimer(null);
+
+    return session;
+}
+
+/**
+ * End the current break early and wait for the next work phase
+ */
+export function skipBreak() {
+    if (!timer || timer.phase !== 'break') return;
+
+    enterPhase('work', Date.now(), false);
+    saveTimer(timer);
+}
+
+/**
+ * Advance the timer to the current time, completing phases that have run out
+ * @returns {Array} Phase changes, e.g. [{ completed: 'work', session }]
+ */
+export function tickTimer() {
+    if (!timer || !timer.running) return [];
+
+    const events = [];
+    const now = Date.now();
+
+    // Another open tab may have finished this phase already. The saved timer
+    // wins, so the same work isn't logged twice.
+    if (getPhaseEnd() <= now) timer = loadTimer();
+
+    // A loop so a long-closed tab catches up on every phase it missed
+    while (timer && timer.running) {
+        const length = getPhaseLength(timer.phase);
+        const finishedAt = getPhaseEnd();
+        if (finishedAt > now) break;
+
+        if (timer.phase === 'work') {
+            const session = logWork(finishedAt, length);
+            events.push({ completed: 'work', session });
+            enterPhase('break', finishedAt, true);
+        } else {
+            events.push({ completed: 'break' });
+            // Wait for the user before starting the next work phase
+            enterPhase('work', finishedAt, false);
+        }
+    }
+
+    if (events.length > 0) saveTimer(timer);
+
+    return events;
+}
+
+/**
+ * Current timer state for rendering
+ * @returns {Object|null} { taskId, taskTitle, phase, running, remainingMs, lengthMs } or null
+ */
+export function getTimerSnapshot() {
+    if (!timer) return null;
+
+    const lengthMs = getPhaseLength(timer.phase);
+
+    return {
+        taskId: timer.taskId,
+        taskTitle: timer.taskTitle,
+        phase: timer.phase,
+        running: timer.running,
+        remainingMs: Math.max(lengthMs - getElapsedMs(Date.now()), 0),
+        lengthMs
+    };
+}
+
+function enterPhase(phase, startedAt, running) {
+    timer.phase = phase;
+    timer.running = running;
+    timer.segmentStartedAt = running ? startedAt : null;
+    timer.elapsedMs = 0;
+    timer.sessionStart = new Date(startedAt).toISOString();
+}
+
+// When the running phase runs out, as a ms timestamp
+function getPhaseEnd() {
+    return timer.segmentStartedAt + (getPhaseLength(timer.phase) - timer.elapsedMs);
+}
+
+function getElapsedMs(now) {
+    return timer.elapsedMs + (timer.running ? now - timer.segmentStartedAt : 0);
+}
+
+function getPhaseLength(phase) {
+    const settings = getSettings();
+    const minutes = phase === 'work' ? settings.focusMinutes : settings.breakMinutes;
+    return minutes * MINUTE_MS;
+}
+
+function logWork(endedAt, elapsedMs) {
+    const minutes = Math.round((elapsedMs / MINUTE_MS) * 100) / 100;
+    if (minutes <= 0) return null;
+
+    const session = {
+        start: timer.sessionStart,
+        end: new Date(endedAt).toISOString(),
+        minutes
+    };
+
+    return logTaskSession(timer.taskId, session) ? session : null;
+}
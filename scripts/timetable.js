@@ -0,0 +1,157 @@
+// timetable.js - Weekly timetable: blocked slots, study windows and the free time they leave
+
+import { PATTERNS, validateField } from './validators.js';
+import { WEEKDAY_LABELS } from './recurrence.js';
+import { parseDate, shiftDate, startOfWeek } from './dates.js';
+
+export const SLOT_KINDS = ['blocked', 'study'];
+
+/**
+ * Validate a timetable slot as typed
+ * @param {Object} slot - { day, start, end, kind, label }
+ * @returns {Object} { valid: boolean, errors: Object }
+ */
+export function validateSlot(slot) {
+    const errors = {};
+
+    if (!(Number.isInteger(slot.day) && slot.day >= 0 && slot.day <= 6)) {
+        errors.day = 'Pick a day of the week';
+    }
+    if (!SLOT_KINDS.includes(slot.kind)) {
+        errors.kind = 'Choose blocked time or a study window';
+    }
+
+    ['start', 'end'].forEach(field => {
+        if (!PATTERNS.time.test(slot[field] || '')) errors[field] = PATTERNS.time.message;
+    });
+    if (!errors.start && !errors.end && slot.end <= slot.start) {
+        errors.end = 'End time must be after the start time';
+    }
+
+    if (slot.label) {
+        const labelValidation = validateField('title', slot.label);
+        if (!labelValidation.valid) errors.label = labelValidation.message;
+    }
+
+    return {
+        valid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Minutes free for study on a weekday: the study windows for that day (or the whole
+ * study day when there are none) less any blocked slots
+ * @param {number} day - 0 (Sunday) to 6
+ * @param {Array} timetable - Slots: { day, start, end, kind }
+ * @param {Object} studyDay - { start, end } as HH:MM
+ * @returns {number}
+ */
+export function getFreeMinutes(day, timetable, studyDay) {
+    const daySpan = [toMinutes(studyDay.start), toMinutes(studyDay.end)];
+    const slots = timetable.filter(slot => slot.day === day);
+    const windows = slots.filter(slot => slot.kind === 'study').map(toSpan);
+    const blocked = slots.filter(slot => slot.kind === 'blocked').map(toSpan);
+
+    const open = (windows.length > 0 ? windows : [daySpan])
+        .map(([start, end]) => [Math.max(start, daySpan[0]), Math.min(end, daySpan[1])])
+        .filter(([start, end]) => end > start);
+
+    return spanLength(subtract(merge(open), merge(blocked)));
+}
+
+/**
+ * Minutes of blocked slots on a weekday, overlaps counted once
+ * @param {number} day - 0 (Sunday) to 6
+ * @param {Array} timetable - Slots
+ * @returns {number}
+ */
+export function getBlockedMinutes(day, timetable) {
+    return spanLength(merge(timetable.filter(slot => slot.day === day && slot.kind === 'blocked').map(toSpan)));
+}
+
+/**
+ * Whether a date falls on a weekday that blocked slots leave no study time on
+ * @param {string} date - Date string
+ * @param {Array} timetable - Slots
+ * @param {Object} studyDay - { start, end }
+ * @returns {boolean}
+ */
+export function isFullyBlocked(date, timetable, studyDay) {
+    const day = parseDate(date).getUTCDay();
+    return getBlockedMinutes(day, timetable) > 0 && getFreeMinutes(day, timetable, studyDay) === 0;
+}
+
+/**
+ * Free study time in the week containing a date
+ * @param {string} date - Usually today
+ * @param {Array} timetable - Slots
+ * @param {Object} studyDay - { start, end }
+ * @returns {Object} { weekMinutes, remainingMinutes } - whole week, and from the given date on
+ */
+export function getWeekFreeMinutes(date, timetable, studyDay) {
+    const week = startOfWeek(date);
+    let weekMinutes = 0;
+    let remainingMinutes = 0;
+
+    for (let offset = 0; offset < 7; offset++) {
+        const dayDate = shiftDate(week, offset);
+        const minutes = getFreeMinutes(offset, timetable, studyDay);
+        weekMinutes += minutes;
+        if (dayDate >= date) remainingMinutes += minutes;
+    }
+
+    return { weekMinutes, remainingMinutes };
+}
+
+/**
+ * Describe a slot for lists and screen readers
+ * @param {Object} slot - Slot
+ * @returns {string} e.g. "Mon 09:00–10:30 Physics lecture"
+ */
+export function describeSlot(slot) {
+    return `${WEEKDAY_LABELS[slot.day]} ${slot.start}–${slot.end}${slot.label ? ` ${slot.label}` : ''}`;
+}
+
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function toSpan(slot) {
+    return [toMinutes(slot.start), toMinutes(slot.end)];
+}
+
+// Sort and join overlapping [start, end] spans
+function merge(spans) {
+    return [...spans]
+        .sort((a, b) => a[0] - b[0])
+        .reduce((merged, [start, end]) => {
+            const last = merged[merged.length - 1];
+            if (last && start <= last[1]) {
+                last[1] = Math.max(last[1], end);
+            } else {
+                merged.push([start, end]);
+            }
+            return merged;
+        }, []);
+}
+
+// Parts of the open spans not covered by any blocked span
+function subtract(open, blocked) {
+    return open.flatMap(([start, end]) => {
+        const pieces = [];
+        let cursor = start;
+        blocked.forEach(([blockStart, blockEnd]) => {
+            if (blockEnd <= cursor || blockStart >= end) return;
+            if (blockStart > cursor) pieces.push([cursor, blockStart]);
+            cursor = Math.max(cursor, blockEnd);
+        });
+        if (cursor < end) pieces.push([cursor, end]);
+        return pieces;
+    });
+}
+
+function spanLength(spans) {
+    return spans.reduce((sum, [start, end]) => sum + end - start, 0);
+}
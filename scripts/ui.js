@@ -1,7 +1,27 @@
 // ui.js - UI rendering and updates
 
-import { getFilteredSortedTasks, getSettings, calculateStats, getSearchPattern } from './state.js';
+import { getFilteredSortedTasks, getSettings, calculateStats, getSearchPattern, getTaskStatus, getTagSummary,
+         getCourses, getCourseById, getCourseFilter, calculateCourseStats,
+         getSavedSearches, countSavedSearch, getSearchQuery, getSortBy, isTaskOverdue, getPlan,
+         isDueOnBlockedDay, getTasks, getBlockingPrerequisites, getLatePrerequisiteTasks,
+         getNextUp, getPriorityMatrix, getAnalytics, getAnalyticsRange } from './state.js';
 import { highlightMatches } from './validators.js';
+import { describeRecurrence } from './recurrence.js';
+import { formatTags, getTaskTags, getTagColor, getTagTextColor } from './tags.js';
+import { formatReminderOffsets, formatTimeLeft } from './reminders.js';
+import { getTimeZone, isValidTimeZone, today } from './dates.js';
+import { getWeekFreeMinutes, describeSlot } from './timetable.js';
+import { getSubtasks, getChecklistProgress, hasTimedSubtasks } from './subtasks.js';
+import { getTaskPriority, PRIORITY_LABELS, describeSlack } from './urgency.js';
+
+// Task IDs whose checklist is expanded, kept open across re-renders
+const openChecklists = new Set();
+
+const STATUS_OPTIONS = [
+    { value: 'todo', label: 'To do' },
+    { value: 'in-progress', label: 'In progress' },
+    { value: 'done', label: 'Done' }
+];
 
 /**
  * Render tasks list
@@ -12,49 +32,162 @@ export function renderTasks() {
     const searchPattern = getSearchPattern();
     const settings = getSettings();
     
+    // Counts on the smart lists follow every change to the task list
+    renderSmartLists();
+    
     if (tasks.length === 0) {
         container.innerHTML = '<p class="empty-state">No tasks found. Try adjusting your search or add a new task!</p>';
         return;
     }
     
     container.innerHTML = tasks.map(task => {
-        const title = searchPattern ? highlightMatches(task.title, searchPattern) : task.title;
-        const tag = searchPattern ? highlightMatches(task.tag, searchPattern) : task.tag;
+        const title = searchPattern ? highlightMatches(task.title, searchPattern) : escapeHTML(task.title);
         const duration = formatDuration(task.duration, settings.timeUnit);
+        const status = getTaskStatus(task);
+        const priority = getTaskPriority(task);
+        const overdue = isTaskOverdue(task);
+        const blockedDay = status !== 'done' && isDueOnBlockedDay(task);
+        const blockers = status !== 'done' ? getBlockingPrerequisites(task) : [];
+        const latePrerequisites = getLatePrerequisiteTasks(task);
+        const course = getCourseById(task.courseId);
+        const classes = ['task-card', `status-${status}`, overdue ? 'task-overdue' : '', blockers.length > 0 ? 'task-blocked' : '']
+            .join(' ').replace(/\s+/g, ' ').trim();
         
         return `
-            <div class="task-card" data-task-id="${task.id}">
+            <div class="${classes}" data-task-id="${escapeHTML(task.id)}">
                 <div class="task-header">
                     <h3 class="task-title">${title}</h3>
-                    <span class="task-tag">${tag}</span>
+                    <span class="priority-badge priority-${priority}">${PRIORITY_LABELS[priority]} priority</span>
+                    <span class="task-tags">${renderTagBadges(getTaskTags(task), settings.tagColors, searchPattern)}</span>
                 </div>
                 <div class="task-details">
                     <div class="task-detail">
                         <span>📅</span>
-                        <span>Due: ${formatDate(task.dueDate)}</span>
+                        <span>Due: ${formatDue(task)}</span>
                     </div>
                     <div class="task-detail">
                         <span>⏱️</span>
-                        <span>Duration: ${duration}</span>
+                        <span>Duration: ${duration}${hasTimedSubtasks(getSubtasks(task)) ? ' (from checklist)' : ''}</span>
                     </div>
                     <div class="task-detail">
                         <span>🕒</span>
                         <span>Updated: ${formatDateTime(task.updatedAt)}</span>
                     </div>
+                    ${course ? `
+                    <div class="task-detail">
+                        <span>🎓</span>
+                        <span>Course: ${escapeHTML(course.name)}</span>
+                    </div>` : ''}
+                    ${typeof task.actualMinutes === 'number' ? `
+                    <div class="task-detail">
+                        <span>⌛</span>
+                        <span>Actual: ${formatDuration(task.actualMinutes, settings.timeUnit)}</span>
+                    </div>` : ''}
+                    ${task.completedAt && status === 'done' ? `
+                    <div class="task-detail">
+                        <span>✅</span>
+                        <span>Completed: ${formatDateTime(task.completedAt)}</span>
+                    </div>` : ''}
+                    ${blockedDay ? `
+                    <div class="task-detail blocked-day-label">
+                        <span>⛔</span>
+                        <span>Due on a day your timetable fully blocks</span>
+                    </div>` : ''}
+                    ${blockers.length > 0 ? `
+                    <div class="task-detail blocked-label">
+                        <span>🔒</span>
+                        <span>Blocked by: ${blockers.map(prerequisite => escapeHTML(prerequisite.title)).join(', ')}</span>
+                    </div>` : ''}
+                    ${latePrerequisites.length > 0 ? `
+                    <div class="task-detail dependency-warning">
+                        <span>⚠️</span>
+                        <span>Prerequisite due after this task: ${latePrerequisites.map(prerequisite => escapeHTML(prerequisite.title)).join(', ')}</span>
+                    </div>` : ''}
+                    ${overdue ? `
+                    <div class="task-detail overdue-label">
+                        <span>⚠️</span>
+                        <span>Overdue</span>
+                    </div>` : ''}
+                    ${Array.isArray(task.reminders) ? `
+                    <div class="task-detail">
+                        <span>🔔</span>
+                        <span>Reminders: ${formatReminderOffsets(task.reminders)}</span>
+                    </div>` : ''}
+                    ${task.recurrence ? `
+                    <div class="task-detail">
+                        <span>🔁</span>
+                        <span>${describeRecurrence(task.recurrence)}</span>
+                    </div>` : ''}
+                </div>
+                ${getSubtasks(task).length > 0 ? renderChecklist(task, settings.timeUnit) : ''}
+                <div class="task-status">
+                    <label for="status-${escapeHTML(task.id)}">Status:</label>
+                    <select id="status-${escapeHTML(task.id)}" class="status-select" data-id="${escapeHTML(task.id)}">
+                        ${STATUS_OPTIONS.map(option => `
+                        <option value="${option.value}" ${option.value === status ? 'selected' : ''}>${option.label}</option>`).join('')}
+                    </select>
                 </div>
                 <div class="task-actions">
-                    <button class="btn-edit" data-id="${task.id}" aria-label="Edit ${task.title}">
+                    <button class="btn-focus" data-id="${escapeHTML(task.id)}" aria-label="Start focus timer for ${escapeHTML(task.title)}">
+                        Focus
+                    </button>
+                    <button class="btn-edit" data-id="${escapeHTML(task.id)}" aria-label="Edit ${escapeHTML(task.title)}">
                         Edit
                     </button>
-                    <button class="btn-delete" data-id="${task.id}" aria-label="Delete ${task.title}">
+                    <button class="btn-delete" data-id="${escapeHTML(task.id)}" aria-label="Delete ${escapeHTML(task.title)}">
                         Delete
                     </button>
+                    ${task.seriesId ? `
+                    <button class="btn-delete btn-delete-series" data-id="${escapeHTML(task.seriesId)}" aria-label="Delete every occurrence of ${escapeHTML(task.title)}">
+                        Delete Series
+                    </button>` : ''}
                 </div>
             </div>
         `;
     }).join('');
 }
 
+/**
+ * Expandable checklist for a task card, with its progress in the summary line
+ */
+function renderChecklist(task, timeUnit) {
+    const progress = getChecklistProgress(task);
+    
+    return `
+                <details class="task-checklist" data-id="${escapeHTML(task.id)}" ${openChecklists.has(task.id) ? 'open' : ''}>
+                    <summary>
+                        Checklist: ${progress.done} of ${progress.total} done
+                        <span class="cap-bar checklist-bar" role="progressbar" aria-label="Checklist progress"
+                            aria-valuemin="0" aria-valuemax="100" aria-valuenow="${progress.percent}">
+                            <span class="cap-progress" style="width: ${progress.percent}%"></span>
+                        </span>
+                    </summary>
+                    <ol class="checklist">
+                        ${getSubtasks(task).map(step => `
+                        <li class="checklist-item ${step.done ? 'checklist-done' : ''}">
+                            <label class="checkbox-label">
+                                <input type="checkbox" class="subtask-check" data-id="${escapeHTML(task.id)}" data-subtask-id="${escapeHTML(step.id)}" ${step.done ? 'checked' : ''}>
+                                ${escapeHTML(step.title)}
+                            </label>
+                            ${typeof step.duration === 'number' ? `<span class="checklist-duration">${formatDuration(step.duration, timeUnit)}</span>` : ''}
+                        </li>`).join('')}
+                    </ol>
+                </details>`;
+}
+
+/**
+ * Remember whether a card's checklist is expanded
+ * @param {string} taskId - Task or occurrence ID
+ * @param {boolean} open - Whether it is expanded
+ */
+export function setChecklistOpen(taskId, open) {
+    if (open) {
+        openChecklists.add(taskId);
+    } else {
+        openChecklists.delete(taskId);
+    }
+}
+
 /**
  * Render dashboard statistics
  */
@@ -67,12 +200,231 @@ export function renderStats() {
     document.getElementById('stat-hours').textContent = stats.totalHours;
     document.getElementById('stat-top-tag').textContent = stats.topTag;
     document.getElementById('stat-recent').textContent = stats.recentTasks;
+    document.getElementById('stat-completion').textContent = `${stats.completionRate}%`;
+    document.getElementById('stat-completed-hours').textContent = `${stats.completedHours} / ${stats.totalHours}`;
+    document.getElementById('stat-overdue').textContent = stats.overdue;
     
     // Update cap status
     updateCapStatus(stats.weeklyHours, settings.weeklyCap);
+    renderFreeHours(settings);
     
     // Update trend chart
     renderTrendChart(stats.trendData);
+    
+    // Update planned vs actual comparison
+    renderFocusComparison(stats, settings.timeUnit);
+    
+    // Update done history
+    renderCompletedList(stats.recentlyCompleted);
+    
+    // Update per-course workload
+    renderCourseBreakdown(calculateCourseStats());
+    
+    // Update what to work on next
+    renderNextUp(getNextUp());
+    renderPriorityMatrix(getPriorityMatrix());
+}
+
+/**
+ * Render the Next up list: the most pressing tasks that can be started
+ */
+function renderNextUp(items) {
+    const list = document.getElementById('next-up-list');
+    
+    if (items.length === 0) {
+        list.innerHTML = '<li class="empty-state">Nothing waiting. Enjoy the break!</li>';
+        return;
+    }
+    
+    list.innerHTML = items.map(({ task, urgency }) => `
+        <li>
+            <div>
+                <span class="next-up-title">${escapeHTML(task.title)}</span>
+                <span class="next-up-reason">Due ${formatDue(task)} · ${describeSlack(urgency)}</span>
+            </div>
+            <span class="urgency-score" title="Urgency score out of 100">Urgency ${urgency.score}</span>
+        </li>
+    `).join('');
+}
+
+/**
+ * Render the urgent/important matrix, a few tasks per quadrant
+ */
+function renderPriorityMatrix(quadrants) {
+    const shown = 5;
+    
+    document.getElementById('matrix-grid').innerHTML = quadrants.map(quadrant => `
+        <section class="matrix-quadrant quadrant-${quadrant.id}" aria-labelledby="quadrant-${quadrant.id}-heading">
+            <h4 id="quadrant-${quadrant.id}-heading">${quadrant.label} <span class="matrix-count">(${quadrant.items.length})</span></h4>
+            <p class="matrix-description">${quadrant.description}</p>
+            ${quadrant.items.length === 0 ? '<p class="empty-state">None</p>' : `
+            <ul>
+                ${quadrant.items.slice(0, shown).map(({ task }) => `
+                <li>${escapeHTML(task.title)} <span>${formatDue(task)}</span></li>`).join('')}
+            </ul>
+            ${quadrant.items.length > shown ? `<p class="matrix-more">and ${quadrant.items.length - shown} more</p>` : ''}`}
+        </section>
+    `).join('');
+}
+
+/**
+ * Render saved searches as smart lists with live task counts.
+ * The list matching the current search and sort is marked pressed.
+ */
+export function renderSmartLists() {
+    const list = document.getElementById('smart-lists');
+    const searches = getSavedSearches();
+    const current = getSearchQuery();
+    const sortBy = getSortBy();
+    
+    document.getElementById('smart-lists-nav').hidden = searches.length === 0;
+    
+    list.innerHTML = searches.map(search => {
+        const name = escapeHTML(search.name);
+        const count = countSavedSearch(search);
+        const sortOption = document.querySelector(`#sort-select option[value="${search.sortBy}"]`);
+        const active = sortBy === search.sortBy && (current
+            ? current.source === search.query.trim() && current.caseSensitive === search.caseSensitive
+            : search.query.trim() === '');
+        
+        return `
+            <li class="smart-list">
+                <button type="button" class="smart-list-btn" data-id="${escapeHTML(search.id)}" aria-pressed="${active}"
+                        aria-label="${name}, ${count} ${count === 1 ? 'task' : 'tasks'}"
+                        title="${escapeHTML(search.query || 'All tasks')} · ${sortOption ? sortOption.textContent : search.sortBy}">
+                    <span class="smart-list-name">${name}</span>
+                    <span class="smart-list-count">${count}</span>
+                </button>
+                <button type="button" class="smart-list-delete" data-id="${escapeHTML(search.id)}" aria-label="Delete saved search ${name}">×</button>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Render the per-course workload table on the dashboard
+ */
+function renderCourseBreakdown(courseStats) {
+    const container = document.getElementById('course-breakdown-body');
+    
+    if (courseStats.length === 0) {
+        container.innerHTML = '<p class="empty-state">Add courses in Settings to see workload per course.</p>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <table class="course-table">
+            <caption class="sr-only">Hours and deadlines per course</caption>
+            <thead>
+                <tr>
+                    <th scope="col">Course</th>
+                    <th scope="col">This week</th>
+                    <th scope="col">Planned</th>
+                    <th scope="col">Completed</th>
+                    <th scope="col">Upcoming deadlines</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${courseStats.map(row => {
+                    const name = row.course ? escapeHTML(row.course.name) : '<em>No course</em>';
+                    const over = row.budget !== null && row.weekHours > row.budget;
+                    const percentage = row.budget > 0 ? Math.min((row.weekHours / row.budget) * 100, 100) : 0;
+                    
+                    return `
+                <tr class="${over ? 'over-cap' : ''}">
+                    <th scope="row">${name}</th>
+                    <td>
+                        ${row.weekHours.toFixed(1)}${row.budget !== null ? ` / ${row.budget} h${over ? ' ⚠️ over budget' : ''}` : ' h'}
+                        ${row.budget !== null ? `
+                        <div class="cap-bar mini-cap-bar">
+                            <div class="cap-progress ${over ? 'over-cap' : ''}" style="width: ${percentage}%"></div>
+                        </div>` : ''}
+                    </td>
+                    <td>${row.plannedHours.toFixed(1)} h</td>
+                    <td>${row.completedHours.toFixed(1)} h</td>
+                    <td>${row.upcoming.length === 0 ? '—' : `
+                        <ul class="course-deadlines">
+                            ${row.upcoming.map(task => `
+                            <li>${escapeHTML(task.title)} <span>${formatDue(task)}</span></li>`).join('')}
+                        </ul>`}
+                    </td>
+                </tr>`;
+                }).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+/**
+ * Render planned vs actual time for tasks with logged focus sessions
+ */
+function renderFocusComparison(stats, unit) {
+    const summary = document.getElementById('focus-summary');
+    const list = document.getElementById('focus-list');
+    
+    if (stats.trackedTasks.length === 0) {
+        summary.textContent = 'Start a focus timer from a task card to log real time.';
+        list.innerHTML = '';
+        return;
+    }
+    
+    summary.textContent = `${formatDuration(stats.focusMinutes, unit)} logged against ` +
+        `${formatDuration(stats.focusPlannedMinutes, unit)} planned.`;
+    
+    list.innerHTML = stats.trackedTasks.map(task => {
+        const over = task.actual > task.planned;
+        return `
+            <li class="${over ? 'over' : 'under'}">
+                <span class="focus-title">${escapeHTML(task.title)}</span>
+                <span>${formatDuration(task.actual, unit)} / ${formatDuration(task.planned, unit)}
+                    (${task.sessions} ${task.sessions === 1 ? 'session' : 'sessions'})</span>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Render the focus timer bar
+ * @param {Object|null} timer - Snapshot from getTimerSnapshot()
+ */
+export function renderTimer(timer) {
+    const bar = document.getElementById('focus-timer');
+    
+    if (!timer) {
+        bar.hidden = true;
+        return;
+    }
+    
+    const totalSeconds = Math.ceil(timer.remainingMs / 1000);
+    const minutes = String(Math.floor(totalSeconds / 60)).padStart(2, '0');
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    
+    bar.hidden = false;
+    bar.classList.toggle('on-break', timer.phase === 'break');
+    document.getElementById('timer-phase').textContent = timer.phase === 'work' ? 'Focus' : 'Break';
+    document.getElementById('timer-task').textContent = timer.taskTitle;
+    document.getElementById('timer-display').textContent = `${minutes}:${seconds}`;
+    document.getElementById('timer-toggle-btn').textContent = timer.running ? 'Pause' : 'Resume';
+    document.getElementById('timer-skip-btn').hidden = timer.phase !== 'break';
+}
+
+/**
+ * Render recently completed tasks
+ */
+function renderCompletedList(tasks) {
+    const list = document.getElementById('completed-list');
+    
+    if (tasks.length === 0) {
+        list.innerHTML = '<li class="empty-state">Nothing completed yet.</li>';
+        return;
+    }
+    
+    list.innerHTML = tasks.map(task => `
+        <li>
+            <span class="completed-title">${escapeHTML(task.title)}</span>
+            <span class="completed-date">${formatDateTime(task.completedAt)}</span>
+        </li>
+    `).join('');
 }
 
 /**
@@ -101,6 +453,61 @@ function updateCapStatus(weeklyHours, cap) {
     }
 }
 
+/**
+ * Free study time this week from the timetable, shown under the cap bar
+ */
+function renderFreeHours(settings) {
+    const element = document.getElementById('free-hours');
+
+    if (settings.timetable.length === 0) {
+        element.textContent = 'Add your timetable in Settings to see the free hours you really have this week.';
+        return;
+    }
+
+    const { weekMinutes, remainingMinutes } = getWeekFreeMinutes(today(), settings.timetable, settings.studyDay);
+    const weekHours = weekMinutes / 60;
+    element.textContent = `🗓️ ${weekHours.toFixed(1)} hours free this week in your timetable, ` +
+        `${(remainingMinutes / 60).toFixed(1)} still ahead.` +
+        (settings.weeklyCap > weekHours ? ` Your ${settings.weeklyCap} hour cap is more than that.` : '');
+}
+
+/**
+ * Warn on the task form when the due date falls on a day the timetable fully blocks
+ * @param {string} date - Due date as typed
+ */
+export function updateDateWarning(date) {
+    const warning = document.getElementById('task-date-warning');
+    const blocked = /^\d{4}-\d{2}-\d{2}$/.test(date) && isDueOnBlockedDay({ dueDate: date });
+
+    warning.hidden = !blocked;
+    warning.textContent = blocked ? 'Your timetable blocks this whole day. Consider an earlier due date.' : '';
+}
+
+/**
+ * Render the weekly timetable in Settings, one line per slot
+ */
+export function renderTimetable() {
+    const settings = getSettings();
+    const list = document.getElementById('timetable-list');
+
+    document.getElementById('study-day-start').value = settings.studyDay.start;
+    document.getElementById('study-day-end').value = settings.studyDay.end;
+
+    if (settings.timetable.length === 0) {
+        list.innerHTML = '<li class="empty-state">No slots yet.</li>';
+        return;
+    }
+
+    list.innerHTML = settings.timetable.map(slot => `
+        <li class="timetable-slot slot-${slot.kind}">
+            <span>${escapeHTML(describeSlot(slot))}</span>
+            <span class="slot-kind">${slot.kind === 'blocked' ? 'Blocked' : 'Study window'}</span>
+            <button type="button" class="btn-delete slot-delete" data-id="${escapeHTML(slot.id)}"
+                    aria-label="Remove ${escapeHTML(describeSlot(slot))} from the timetable">Remove</button>
+        </li>
+    `).join('');
+}
+
 /**
  * Render trend chart
  */
@@ -122,6 +529,413 @@ function renderTrendChart(trendData) {
     }).join('');
 }
 
+/**
+ * Render the Analytics page for the selected range. Every chart is followed
+ * by a table of the same numbers for screen readers and exact values.
+ */
+export function renderAnalytics() {
+    const analytics = getAnalytics();
+    const { timeUnit } = getSettings();
+    const perWeek = analytics.bucket === 'week';
+    const minutes = value => formatDuration(Math.round(value), timeUnit);
+    
+    document.getElementById('analytics-range').value = getAnalyticsRange();
+    document.getElementById('analytics-summary').textContent = analytics.totals.count === 0
+        ? `No tasks due from ${formatDate(analytics.from)} to ${formatDate(analytics.to)}.`
+        : `${analytics.totals.count} task${analytics.totals.count === 1 ? '' : 's'} due from ${formatDate(analytics.from)} to ${formatDate(analytics.to)}: ` +
+          `${minutes(analytics.totals.minutes)} in all, ${minutes(analytics.totals.doneMinutes)} done.`;
+    
+    // Minutes per day (or per week for a term), done time shaded in each bar
+    document.getElementById('analytics-time-heading').textContent = perWeek ? 'Minutes per Week' : 'Minutes per Day';
+    const timeBars = document.getElementById('analytics-time-bars');
+    timeBars.setAttribute('aria-label', `Bar chart of minutes per ${perWeek ? 'week' : 'day'}`);
+    timeBars.innerHTML = renderAnalyticsBars(analytics.buckets.map((bucket, index) => ({
+        label: bucket.label,
+        // Thirty day labels don't fit under the bars; every fifth one does
+        shortLabel: analytics.buckets.length > 10 && index % 5 !== 0 ? '' : bucket.label.replace(/^\w+, /, ''),
+        value: bucket.minutes,
+        done: bucket.doneMinutes,
+        text: `${minutes(bucket.minutes)}, ${minutes(bucket.doneMinutes)} done`
+    })));
+    document.getElementById('analytics-time-table').innerHTML = renderDataTable(
+        `Minutes per ${perWeek ? 'week' : 'day'}`,
+        [perWeek ? 'Week' : 'Day', 'Tasks', 'Time', 'Done'],
+        analytics.buckets.map(bucket => [bucket.label, bucket.count, minutes(bucket.minutes), minutes(bucket.doneMinutes)])
+    );
+    
+    // Weekly totals against the cap
+    const capList = document.getElementById('analytics-cap-list');
+    capList.innerHTML = analytics.weeks.map(week => {
+        const percentage = week.capMinutes > 0 ? Math.min((week.minutes / week.capMinutes) * 100, 100) : 100;
+        const hours = (week.minutes / 60).toFixed(1);
+        const cap = (week.capMinutes / 60).toFixed(1);
+        return `
+            <li class="${week.overCap ? 'over-cap' : ''}">
+                <span class="analytics-row-label">${week.label}</span>
+                <div class="cap-bar mini-cap-bar" role="img" aria-label="${week.label}: ${hours} of ${cap} hours${week.overCap ? ', over the cap' : ''}">
+                    <div class="cap-progress ${week.overCap ? 'over-cap' : ''}" style="width: ${percentage}%"></div>
+                </div>
+                <span>${hours} / ${cap} h${week.overCap ? ' ⚠️' : ''}</span>
+            </li>`;
+    }).join('');
+    document.getElementById('analytics-cap-table').innerHTML = renderDataTable(
+        'Weekly hours against the cap',
+        ['Week', 'Hours', 'Cap', 'Over cap'],
+        analytics.weeks.map(week => [week.label, (week.minutes / 60).toFixed(1), (week.capMinutes / 60).toFixed(1), week.overCap ? 'Yes' : 'No'])
+    );
+    
+    // Share of time per tag
+    const colors = getSettings().tagColors;
+    document.getElementById('analytics-tag-list').innerHTML = analytics.tags.length === 0
+        ? '<li class="empty-state">No tagged time in this range.</li>'
+        : analytics.tags.map(row => {
+            const percent = Math.round(row.share * 100);
+            return `
+            <li>
+                <span class="analytics-row-label">${escapeHTML(row.tag)}</span>
+                <div class="cap-bar mini-cap-bar" role="img" aria-label="${escapeHTML(row.tag)}: ${percent}% of the time">
+                    <div class="cap-progress" style="width: ${percent}%; background: ${getTagColor(row.tag, colors)}"></div>
+                </div>
+                <span>${minutes(row.minutes)} (${percent}%)</span>
+            </li>`;
+        }).join('');
+    document.getElementById('analytics-tag-table').innerHTML = renderDataTable(
+        'Time by tag. A task with several tags shares its time between them',
+        ['Tag', 'Time', 'Share'],
+        analytics.tags.map(row => [row.tag, minutes(row.minutes), `${Math.round(row.share * 100)}%`])
+    );
+    
+    // Average time per weekday
+    const busiest = analytics.weekdays.filter(day => day.busiest);
+    document.getElementById('analytics-busiest').textContent = busiest.length === 0
+        ? 'No time logged in this range yet.'
+        : `Busiest: ${busiest.map(day => day.label).join(', ')}, with ${minutes(busiest[0].average)} due on an average day.`;
+    const weekdayBars = document.getElementById('analytics-weekday-bars');
+    weekdayBars.setAttribute('aria-label', 'Bar chart of average minutes due per weekday');
+    weekdayBars.innerHTML = renderAnalyticsBars(analytics.weekdays.map(day => ({
+        label: day.label,
+        shortLabel: day.label,
+        value: day.average,
+        done: 0,
+        highlight: day.busiest,
+        text: `${minutes(day.average)} on average`
+    })));
+    document.getElementById('analytics-weekday-table').innerHTML = renderDataTable(
+        'Time due per weekday',
+        ['Weekday', 'Total', 'Average'],
+        analytics.weekdays.map(day => [day.label, minutes(day.minutes), minutes(day.average)])
+    );
+}
+
+/**
+ * Bars drawn like the dashboard trend chart, each labelled for screen readers
+ */
+function renderAnalyticsBars(bars) {
+    const max = Math.max(...bars.map(bar => bar.value), 1);
+    
+    return bars.map(bar => `
+        <div class="trend-bar analytics-bar ${bar.highlight ? 'analytics-bar-busiest' : ''}"
+             style="height: ${(bar.value / max) * 100}%"
+             data-label="${escapeHTML(bar.shortLabel)}"
+             title="${escapeHTML(bar.label)}: ${bar.text}"
+             role="img"
+             aria-label="${escapeHTML(bar.label)}: ${bar.text}">
+            ${bar.done > 0 ? `<span class="analytics-bar-done" style="height: ${(bar.done / bar.value) * 100}%"></span>` : ''}
+        </div>
+    `).join('');
+}
+
+/**
+ * Collapsible table with the numbers behind a chart
+ */
+function renderDataTable(caption, headers, rows) {
+    return `
+        <details class="data-table">
+            <summary>Show as a table</summary>
+            <table class="course-table">
+                <caption>${escapeHTML(caption)}</caption>
+                <thead>
+                    <tr>${headers.map(header => `<th scope="col">${header}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${rows.map(([first, ...cells]) => `
+                    <tr><th scope="row">${escapeHTML(first)}</th>${cells.map(cell => `<td>${escapeHTML(cell)}</td>`).join('')}</tr>`).join('')}
+                </tbody>
+            </table>
+        </details>`;
+}
+
+const CSV_FIELD_LABELS = {
+    title: 'Title',
+    duration: 'Duration (minutes)',
+    dueDate: 'Due date',
+    dueTime: 'Due time',
+    tags: 'Tags',
+    status: 'Status',
+    actualMinutes: 'Actual time (minutes)',
+    completedAt: 'Completed at'
+};
+
+/**
+ * Render the CSV import preview: column mapping, sample rows and row errors
+ * @param {Object} preview - { headers, rows, mapping, result }
+ */
+export function renderCsvPreview(preview) {
+    const { headers, rows, mapping, result } = preview;
+    
+    document.getElementById('csv-preview').hidden = false;
+    
+    document.getElementById('csv-mapping').innerHTML = Object.keys(CSV_FIELD_LABELS).map(field => `
+        <div class="form-group">
+            <label for="csv-map-${field}">${CSV_FIELD_LABELS[field]}</label>
+            <select id="csv-map-${field}" class="csv-map-select" data-field="${field}">
+                <option value="-1" ${mapping[field] === -1 ? 'selected' : ''}>(not in file)</option>
+                ${headers.map((header, index) => `
+                <option value="${index}" ${mapping[field] === index ? 'selected' : ''}>${escapeHTML(header || `Column ${index + 1}`)}</option>`).join('')}
+            </select>
+        </div>
+    `).join('');
+    
+    const sample = rows.slice(0, 5);
+    document.getElementById('csv-sample').innerHTML = `
+        <caption>First rows of the file</caption>
+        <thead><tr>${headers.map(header => `<th scope="col">${escapeHTML(header)}</th>`).join('')}</tr></thead>
+        <tbody>
+            ${sample.map(row => `<tr>${headers.map((header, index) => `<td>${escapeHTML(row[index] || '')}</td>`).join('')}</tr>`).join('')}
+        </tbody>
+    `;
+    
+    const summary = document.getElementById('csv-summary');
+    summary.textContent = `${result.valid.length} of ${rows.length} rows ready to import` +
+        (result.invalid.length ? `, ${result.invalid.length} with errors.` : '.');
+    summary.className = result.invalid.length ? 'error' : 'success';
+    
+    document.getElementById('csv-errors').innerHTML = result.invalid.map(item => `
+        <li>Row ${item.row}: ${Object.entries(item.errors)
+            .map(([field, message]) => `<strong>${CSV_FIELD_LABELS[field] || field}</strong> – ${message}`)
+            .join('; ')}</li>
+    `).join('');
+    
+    document.getElementById('csv-import-btn').disabled = result.valid.length === 0;
+}
+
+/**
+ * Hide the CSV import preview
+ */
+export function hideCsvPreview() {
+    document.getElementById('csv-preview').hidden = true;
+    document.getElementById('csv-errors').innerHTML = '';
+}
+
+const MERGE_GROUPS = [
+    { kind: 'conflict', heading: 'Conflicts (this device has the same or newer version)' },
+    { kind: 'changed', heading: 'Changed (imported version is newer)' },
+    { kind: 'added', heading: 'New tasks' }
+];
+
+/**
+ * Render the merge review screen with a keep/take choice per task
+ * @param {Object} diff - Result of diffTasks()
+ */
+export function renderMergeReview(diff) {
+    const counts = MERGE_GROUPS.map(group => diff.items.filter(item => item.kind === group.kind).length);
+    
+    document.getElementById('merge-review').hidden = false;
+    document.getElementById('merge-summary').textContent =
+        `${counts[2]} new, ${counts[1]} changed, ${counts[0]} conflicting, ` +
+        `${diff.unchanged} unchanged. ${diff.localOnly} tasks only on this device will be kept.`;
+    
+    document.getElementById('merge-items').innerHTML = MERGE_GROUPS.map(group => {
+        const items = diff.items.filter(item => item.kind === group.kind);
+        if (items.length === 0) return '';
+        
+        return `
+            <section class="merge-group merge-${group.kind}" aria-label="${group.heading}">
+                <h5>${group.heading}</h5>
+                <ul class="merge-list">
+                    ${items.map(item => renderMergeItem(item, diff.items.indexOf(item))).join('')}
+                </ul>
+            </section>
+        `;
+    }).join('');
+    
+    document.getElementById('merge-apply-btn').disabled = diff.items.length === 0;
+    document.getElementById('merge-heading').focus();
+}
+
+function renderMergeItem(item, index) {
+    const title = escapeHTML(item.incoming.title);
+    const name = `merge-choice-${index}`;
+    const isAdded = item.kind === 'added';
+    
+    const fields = item.fields.map(field => `
+        <li><strong>${escapeHTML(field)}</strong>: ${formatMergeValue(item.local[field])} → ${formatMergeValue(item.incoming[field])}</li>
+    `).join('');
+    
+    return `
+        <li class="merge-item">
+            <p class="merge-title">${title}</p>
+            ${fields ? `<ul class="merge-fields">${fields}</ul>` : ''}
+            <fieldset class="merge-choice">
+                <legend class="sr-only">Version to keep for ${title}</legend>
+                <label class="checkbox-label">
+                    <input type="radio" name="${name}" value="incoming" data-id="${escapeHTML(item.id)}" ${item.choice === 'incoming' ? 'checked' : ''}>
+                    ${isAdded ? 'Add this task' : `Use imported (updated ${formatDateTime(item.incoming.updatedAt)})`}
+                </label>
+                <label class="checkbox-label">
+                    <input type="radio" name="${name}" value="local" data-id="${escapeHTML(item.id)}" ${item.choice === 'local' ? 'checked' : ''}>
+                    ${isAdded ? 'Skip it' : `Keep this device's (updated ${formatDateTime(item.local.updatedAt)})`}
+                </label>
+            </fieldset>
+        </li>
+    `;
+}
+
+function formatMergeValue(value) {
+    if (value === undefined || value === null || value === '') return '<em>empty</em>';
+    if (typeof value === 'object') return '<em>(edited)</em>';
+    return `"${escapeHTML(value)}"`;
+}
+
+/**
+ * Read the per-task choices from the merge review screen
+ * @returns {Object} Map of task ID -> 'incoming' | 'local'
+ */
+export function getMergeChoices() {
+    const choices = {};
+    document.querySelectorAll('#merge-items input[type="radio"]:checked').forEach(radio => {
+        choices[radio.dataset.id] = radio.value;
+    });
+    return choices;
+}
+
+/**
+ * Hide the merge review screen
+ */
+export function hideMergeReview() {
+    document.getElementById('merge-review').hidden = true;
+    document.getElementById('merge-items').innerHTML = '';
+}
+
+/**
+ * Show the storage problem banner
+ * @param {string} message - What went wrong
+ * @param {boolean} hasBackup - Whether the backup download button applies
+ */
+export function showStorageAlert(message, hasBackup = false) {
+    document.getElementById('storage-alert-message').textContent = message;
+    document.getElementById('storage-backup-btn').hidden = !hasBackup;
+    document.getElementById('storage-alert').hidden = false;
+}
+
+/**
+ * Hide the storage problem banner
+ */
+export function hideStorageAlert() {
+    document.getElementById('storage-alert').hidden = true;
+}
+
+/**
+ * Ask for the passphrase of an encrypted backup being imported
+ * @param {string} fileName - Name of the picked file
+ */
+export function showDecryptForm(fileName) {
+    const form = document.getElementById('decrypt-form');
+    form.reset();
+    clearFieldError('decrypt-passphrase');
+    document.getElementById('decrypt-file-name').textContent =
+        `"${fileName}" is encrypted. Enter the passphrase it was exported with.`;
+    form.hidden = false;
+    document.getElementById('decrypt-passphrase').focus();
+}
+
+export function hideDecryptForm() {
+    const form = document.getElementById('decrypt-form');
+    form.reset();
+    clearFieldError('decrypt-passphrase');
+    form.hidden = true;
+}
+
+/**
+ * Offer to reload into a new version of the planner
+ */
+export function showUpdateBanner() {
+    document.getElementById('update-banner').hidden = false;
+}
+
+export function hideUpdateBanner() {
+    document.getElementById('update-banner').hidden = true;
+}
+
+/**
+ * Show or hide the offline notice
+ * @param {boolean} online - Whether the browser has a connection
+ */
+export function renderConnectionState(online) {
+    document.getElementById('offline-notice').hidden = online;
+}
+
+/**
+ * Add due reminders to the in-page banner, used when browser notifications aren't allowed
+ * @param {Array} reminders - From the reminder scheduler: { taskId, title, dueDate, dueTime, deadline }
+ */
+export function showReminderAlert(reminders) {
+    const list = document.getElementById('reminder-list');
+    const now = Date.now();
+
+    list.insertAdjacentHTML('beforeend', reminders.map(reminder => `
+        <li>"${escapeHTML(reminder.title)}" is due ${formatTimeLeft(reminder.deadline - now)} (${formatDue(reminder)})</li>
+    `).join(''));
+    document.getElementById('reminder-alert').hidden = false;
+}
+
+/**
+ * Hide the reminder banner and forget the reminders it listed
+ */
+export function hideReminderAlert() {
+    document.getElementById('reminder-alert').hidden = true;
+    document.getElementById('reminder-list').innerHTML = '';
+}
+
+/**
+ * Show whether reminders can use browser notifications
+ * @param {string} permission - 'granted', 'denied', 'default' or 'unsupported'
+ */
+export function renderNotificationState(permission) {
+    const labels = {
+        granted: 'Allowed',
+        denied: 'Blocked in browser settings. Reminders appear at the top of the page',
+        default: 'Not yet allowed. Reminders appear at the top of the page',
+        unsupported: 'Not supported in this browser. Reminders appear at the top of the page'
+    };
+
+    document.getElementById('notifications-state').textContent = labels[permission];
+    document.getElementById('notifications-btn').hidden = permission !== 'default';
+}
+
+/**
+ * Fill the time zone select. Browsers that can't list their zones get a short list of common ones.
+ */
+export function populateTimeZoneOptions() {
+    const select = document.getElementById('time-zone');
+    const current = getSettings().timeZone;
+    const zones = typeof Intl.supportedValuesOf === 'function'
+        ? Intl.supportedValuesOf('timeZone')
+        : COMMON_TIME_ZONES.filter(isValidTimeZone);
+    if (current && !zones.includes(current)) zones.unshift(current);
+
+    select.innerHTML = `<option value="">Browser default (${escapeHTML(Intl.DateTimeFormat().resolvedOptions().timeZone)})</option>` +
+        zones.map(zone => `<option value="${escapeHTML(zone)}">${escapeHTML(zone.replace(/_/g, ' '))}</option>`).join('');
+    select.value = current || '';
+}
+
+const COMMON_TIME_ZONES = [
+    'UTC', 'America/Los_Angeles', 'America/Denver', 'America/Chicago', 'America/New_York',
+    'America/Sao_Paulo', 'Europe/London', 'Europe/Paris', 'Europe/Berlin', 'Africa/Lagos',
+    'Africa/Nairobi', 'Africa/Johannesburg', 'Asia/Dubai', 'Asia/Kolkata', 'Asia/Shanghai',
+    'Asia/Tokyo', 'Australia/Sydney', 'Pacific/Auckland'
+];
+
 /**
  * Show page
  */
@@ -184,7 +998,8 @@ export function clearFieldError(fieldId) {
  * Clear all form errors
  */
 export function clearAllFormErrors() {
-    ['task-title', 'task-duration', 'task-date', 'task-tag'].forEach(clearFieldError);
+    ['task-title', 'task-duration', 'task-date', 'task-time', 'task-tags', 'task-reminders', 'task-actual', 'task-priority', 'task-subtasks', 'task-depends', 'task-recurrence']
+        .forEach(clearFieldError);
 }
 
 /**
@@ -196,43 +1011,437 @@ export function resetForm() {
     document.getElementById('task-id').value = '';
     document.getElementById('submit-btn').textContent = 'Add Task';
     document.getElementById('form-heading').textContent = 'Add New Task';
+    document.getElementById('edit-scope-group').hidden = true;
+    document.getElementById('recurrence-group').hidden = false;
+    setRecurrenceFields(null);
+    renderSubtaskEditor([]);
+    document.getElementById('depends-group').hidden = false;
+    populateDependencyOptions(null, []);
     clearAllFormErrors();
+    updateDateWarning('');
+    hideFormConflict();
 }
 
 /**
  * Populate form with task data (for editing)
+ * @param {Object} task - Task, series or occurrence
+ * @param {string|null} scope - 'occurrence' or 'series' when editing a recurring task
  */
-export function populateForm(task) {
+export function populateForm(task, scope = null) {
+    hideFormConflict();
     document.getElementById('task-id').value = task.id;
     document.getElementById('task-title').value = task.title;
     document.getElementById('task-duration').value = task.duration;
     document.getElementById('task-date').value = task.dueDate;
-    document.getElementById('task-tag').value = task.tag;
+    document.getElementById('task-time').value = task.dueTime || '';
+    updateDateWarning(task.dueDate);
+    document.getElementById('task-tags').value = formatTags(getTaskTags(task));
+    document.getElementById('task-course').value = getCourseById(task.courseId) ? task.courseId : '';
+    document.getElementById('task-priority').value = getTaskPriority(task);
+    document.getElementById('task-reminders').value = Array.isArray(task.reminders) ? formatReminderOffsets(task.reminders) : '';
+    document.getElementById('task-actual').value = typeof task.actualMinutes === 'number' ? task.actualMinutes : '';
+    renderSubtaskEditor(getSubtasks(task));
+    populateDependencyOptions(task.seriesId || task.id, task.dependsOn || []);
     document.getElementById('submit-btn').textContent = 'Update Task';
     document.getElementById('form-heading').textContent = 'Edit Task';
+    
+    // Scope choice only applies to recurring tasks; a single occurrence has no rule of its own
+    document.getElementById('edit-scope-group').hidden = !scope;
+    document.getElementById('recurrence-group').hidden = scope === 'occurrence';
+    document.getElementById('depends-group').hidden = scope === 'occurrence';
+    if (scope) {
+        document.querySelector(`input[name="edit-scope"][value="${scope}"]`).checked = true;
+    }
+    setRecurrenceFields(task.recurrence);
+}
+
+/**
+ * Warn on the task form that another tab saved over the task being edited
+ * @param {string} conflict - 'changed' or 'deleted'
+ */
+export function showFormConflict(conflict) {
+    const deleted = conflict === 'deleted';
+    document.getElementById('form-conflict-message').textContent = deleted
+        ? 'This task was deleted in another tab. Keep your edits as a new task, or discard them.'
+        : 'This task was changed in another tab. Load the saved version, or keep your edits and save over it.';
+    document.getElementById('conflict-load-btn').textContent = deleted ? 'Discard my edits' : 'Load saved version';
+    document.getElementById('conflict-keep-btn').textContent = deleted ? 'Keep as new task' : 'Keep my edits';
+    document.getElementById('form-conflict').hidden = false;
+}
+
+export function hideFormConflict() {
+    document.getElementById('form-conflict').hidden = true;
+}
+
+/**
+ * Switch the form to adding a task, keeping everything typed so far
+ */
+export function detachForm() {
+    document.getElementById('task-id').value = '';
+    document.getElementById('submit-btn').textContent = 'Add Task';
+    document.getElementById('form-heading').textContent = 'Add New Task';
+    document.getElementById('edit-scope-group').hidden = true;
+    // A single occurrence becomes a one-off task rather than a copy of its series
+    if (document.getElementById('recurrence-group').hidden) setRecurrenceFields(null);
+    document.getElementById('recurrence-group').hidden = false;
+    document.getElementById('depends-group').hidden = false;
+}
+
+/**
+ * Fill the prerequisite picker with one-off tasks, earliest due first.
+ * Recurring tasks aren't offered; ones already picked stay listed.
+ * @param {string|null} excludeId - Task being edited
+ * @param {Array<string>} selected - Prerequisite IDs to select
+ */
+export function populateDependencyOptions(excludeId, selected) {
+    const picker = document.getElementById('task-depends');
+    const candidates = getTasks()
+        .filter(task => task.id !== excludeId && (!task.recurrence || selected.includes(task.id)))
+        .sort((a, b) => a.dueDate.localeCompare(b.dueDate) || a.title.localeCompare(b.title));
+    
+    picker.innerHTML = candidates.map(task => `
+        <option value="${escapeHTML(task.id)}" ${selected.includes(task.id) ? 'selected' : ''}>
+            ${getTaskStatus(task) === 'done' ? '✓ ' : ''}${escapeHTML(task.title)} (due ${formatDue(task)})
+        </option>`).join('');
+    picker.disabled = candidates.length === 0;
+    updateDependencyWarning();
+}
+
+/**
+ * Warn on the task form when a picked prerequisite is due after this task
+ */
+export function updateDependencyWarning() {
+    const warning = document.getElementById('task-depends-warning');
+    const dueDate = document.getElementById('task-date').value.trim();
+    const dueTime = document.getElementById('task-time').value.trim();
+    const dependsOn = [...document.getElementById('task-depends').selectedOptions].map(option => option.value);
+    const late = /^\d{4}-\d{2}-\d{2}$/.test(dueDate) && dependsOn.length > 0
+        ? getLatePrerequisiteTasks({ dueDate, dueTime: /^\d{2}:\d{2}$/.test(dueTime) ? dueTime : null, dependsOn })
+        : [];
+    
+    warning.hidden = late.length === 0;
+    warning.textContent = late.length > 0
+        ? `Due after this task: ${late.map(task => task.title).join(', ')}. Consider moving the dates.`
+        : '';
+}
+
+/**
+ * Fill the checklist editor on the task form
+ * @param {Array} subtasks - Steps in order
+ */
+export function renderSubtaskEditor(subtasks) {
+    document.getElementById('task-subtasks').innerHTML = subtasks.map(renderSubtaskRow).join('');
+    updateDurationFromSubtasks();
+}
+
+/**
+ * Add an empty step to the end of the checklist editor and focus it
+ */
+export function addSubtaskRow() {
+    const list = document.getElementById('task-subtasks');
+    list.insertAdjacentHTML('beforeend', renderSubtaskRow({ id: '', title: '', duration: null, done: false }));
+    list.lastElementChild.querySelector('.subtask-row-title').focus();
+}
+
+/**
+ * While any step has minutes, the duration field shows their total and is read-only
+ */
+export function updateDurationFromSubtasks() {
+    const durationInput = document.getElementById('task-duration');
+    const typed = [...document.querySelectorAll('#task-subtasks .subtask-row-duration')]
+        .map(input => input.value.trim())
+        .filter(Boolean);
+    const rolledUp = typed.length > 0;
+    
+    durationInput.readOnly = rolledUp;
+    document.getElementById('duration-rollup').hidden = !rolledUp;
+    if (rolledUp) {
+        const total = typed.map(parseFloat).filter(Number.isFinite).reduce((sum, minutes) => sum + minutes, 0);
+        durationInput.value = Math.round(total * 100) / 100;
+    }
 }
 
+function renderSubtaskRow(step) {
+    return `
+        <li class="subtask-row" data-subtask-id="${escapeHTML(step.id)}">
+            <input type="checkbox" class="subtask-row-done" aria-label="Step done" ${step.done ? 'checked' : ''}>
+            <input type="text" class="subtask-row-title" aria-label="Step title" value="${escapeHTML(step.title)}">
+            <input type="text" class="subtask-row-duration" aria-label="Step minutes" placeholder="min"
+                value="${typeof step.duration === 'number' ? step.duration : ''}">
+            <button type="button" class="btn-secondary subtask-move" data-move="-1" aria-label="Move step up">↑</button>
+            <button type="button" class="btn-secondary subtask-move" data-move="1" aria-label="Move step down">↓</button>
+            <button type="button" class="btn-delete subtask-remove" aria-label="Remove step">×</button>
+        </li>`;
+}
+
+/**
+ * Fill the repeat controls from a recurrence rule
+ */
+function setRecurrenceFields(rule) {
+    document.getElementById('task-recurrence').value = rule ? rule.frequency : 'none';
+    document.getElementById('task-interval').value = rule ? rule.interval : 1;
+    document.getElementById('task-until').value = rule && rule.until ? rule.until : '';
+    document.getElementById('task-count').value = rule && rule.count ? rule.count : '';
+    document.querySelectorAll('input[name="task-weekday"]').forEach(box => {
+        box.checked = Boolean(rule && rule.weekdays && rule.weekdays.includes(Number(box.value)));
+    });
+    updateRecurrenceOptions();
+}
+
+/**
+ * Show repeat options that match the selected frequency
+ */
+export function updateRecurrenceOptions() {
+    const frequency = document.getElementById('task-recurrence').value;
+    const units = { daily: 'day(s)', weekly: 'week(s)', monthly: 'month(s)' };
+    
+    document.getElementById('recurrence-options').hidden = frequency === 'none';
+    document.getElementById('weekday-group').hidden = frequency !== 'weekly';
+    document.getElementById('interval-unit').textContent = units[frequency] || '';
+}
+
+// Pending auto-hide timeouts by status element ID
+const statusTimers = new Map();
+
 /**
  * Show status message
+ * @param {string} elementId - Status element ID
+ * @param {string} message - Message text
+ * @param {string} type - 'success' or 'error'
+ * @param {Object} [action] - Optional button: { label, onClick }
  */
-export function showStatus(elementId, message, type = 'success') {
+export function showStatus(elementId, message, type = 'success', action = null) {
     const element = document.getElementById(elementId);
     if (!element) return;
     
     element.textContent = message;
     element.className = type;
     
-    // Auto-hide after 5 seconds
-    setTimeout(() => {
+    if (action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'status-action';
+        button.textContent = action.label;
+        button.addEventListener('click', action.onClick);
+        element.append(' ', button);
+    }
+    
+    // Auto-hide after 5 seconds, or 8 when there's a button to reach;
+    // a newer message restarts the clock
+    clearTimeout(statusTimers.get(elementId));
+    statusTimers.set(elementId, setTimeout(() => {
         element.textContent = '';
         element.className = '';
-    }, 5000);
+    }, action ? 8000 : 5000));
+}
+
+/**
+ * Coloured badges for a task's tags
+ * @param {Array<string>} tags - Tag names
+ * @param {Object} colors - Map of tag -> colour from settings
+ * @param {RegExp|null} searchPattern - Highlight matches when searching
+ * @returns {string} HTML
+ */
+export function renderTagBadges(tags, colors = {}, searchPattern = null) {
+    return tags.map(tag => {
+        const color = getTagColor(tag, colors);
+        const label = searchPattern ? highlightMatches(tag, searchPattern) : escapeHTML(tag);
+        return `<span class="task-tag" style="--tag-color: ${color}; --tag-text: ${getTagTextColor(color)}">${label}</span>`;
+    }).join('');
+}
+
+/**
+ * Fill the course pickers (task form and task list filter), keeping current selections
+ */
+export function populateCourseOptions() {
+    const courses = getCourses();
+    const options = courses.map(course => `<option value="${escapeHTML(course.id)}">${escapeHTML(course.name)}</option>`).join('');
+    
+    const taskCourse = document.getElementById('task-course');
+    const selected = taskCourse.value;
+    taskCourse.innerHTML = '<option value="">(No course)</option>' + options;
+    taskCourse.value = courses.some(course => course.id === selected) ? selected : '';
+    
+    const filter = document.getElementById('course-filter');
+    filter.innerHTML = '<option value="all">All courses</option>' + options + '<option value="none">No course</option>';
+    filter.value = getCourseFilter();
+}
+
+/**
+ * Render the course list in Settings
+ */
+export function renderCourseList() {
+    const list = document.getElementById('course-list');
+    const courses = getCourses();
+    
+    if (courses.length === 0) {
+        list.innerHTML = '<li class="empty-state">No courses yet.</li>';
+        return;
+    }
+    
+    list.innerHTML = courses.map(course => {
+        const details = [
+            course.credits !== null ? `${course.credits} credits` : '',
+            course.instructor ? escapeHTML(course.instructor) : '',
+            course.term ? escapeHTML(course.term) : '',
+            course.weeklyBudget !== null ? `${course.weeklyBudget} h/week budget` : ''
+        ].filter(Boolean).join(' · ');
+        
+        return `
+            <li class="course-item">
+                <div>
+                    <span class="course-name">${escapeHTML(course.name)}</span>
+                    ${details ? `<span class="course-details">${details}</span>` : ''}
+                </div>
+                <div class="task-actions">
+                    <button type="button" class="btn-edit course-edit-btn" data-id="${escapeHTML(course.id)}" aria-label="Edit ${escapeHTML(course.name)}">Edit</button>
+                    <button type="button" class="btn-delete course-delete-btn" data-id="${escapeHTML(course.id)}" aria-label="Delete ${escapeHTML(course.name)}">Delete</button>
+                </div>
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Fill the course form for editing
+ * @param {Object} course - Course
+ */
+export function populateCourseForm(course) {
+    document.getElementById('course-id').value = course.id;
+    document.getElementById('course-name').value = course.name;
+    document.getElementById('course-credits').value = course.credits !== null ? course.credits : '';
+    document.getElementById('course-instructor').value = course.instructor || '';
+    document.getElementById('course-term').value = course.term || '';
+    document.getElementById('course-budget').value = course.weeklyBudget !== null ? course.weeklyBudget : '';
+    document.getElementById('course-submit-btn').textContent = 'Update Course';
+    document.getElementById('course-cancel-btn').hidden = false;
+    clearCourseErrors();
+}
+
+/**
+ * Reset the course form to add mode
+ */
+export function resetCourseForm() {
+    document.getElementById('course-form').reset();
+    document.getElementById('course-id').value = '';
+    document.getElementById('course-submit-btn').textContent = 'Add Course';
+    document.getElementById('course-cancel-btn').hidden = true;
+    clearCourseErrors();
+}
+
+export function clearCourseErrors() {
+    ['course-name', 'course-credits', 'course-instructor', 'course-term', 'course-budget'].forEach(clearFieldError);
+}
+
+/**
+ * Render the Planner page: availability inputs, the plan day by day, and tasks that don't fit
+ */
+export function renderPlanner() {
+    const settings = getSettings();
+    const plan = getPlan();
+    const summary = document.getElementById('plan-summary');
+    const unscheduled = document.getElementById('plan-unscheduled');
+    const daysContainer = document.getElementById('plan-days');
+
+    document.querySelectorAll('.avail-input').forEach(input => {
+        input.value = settings.availability[Number(input.dataset.day)];
+    });
+    document.getElementById('max-session').value = settings.maxSessionMinutes;
+
+    if (!plan) {
+        summary.textContent = 'No plan yet. Set your free hours and press Re-plan.';
+        summary.classList.remove('plan-stale');
+        unscheduled.innerHTML = '';
+        daysContainer.innerHTML = '';
+        return;
+    }
+
+    const total = plan.days.reduce((sum, day) => sum + day.sessions.reduce((daySum, session) => daySum + session.minutes, 0), 0);
+    summary.textContent = `${formatDuration(total, settings.timeUnit)} planned over ${plan.days.length} ` +
+        `${plan.days.length === 1 ? 'day' : 'days'}, made ${formatDateTime(plan.generatedAt)}.` +
+        (plan.stale ? ' Tasks or settings changed since then; press Re-plan to update it.' : '');
+    summary.classList.toggle('plan-stale', plan.stale);
+
+    unscheduled.innerHTML = plan.unscheduled.length === 0 ? '' : `
+        <div class="plan-warning" role="alert">
+            <h3>Won't fit before the deadline</h3>
+            <ul>
+                ${plan.unscheduled.map(item => `
+                <li>
+                    <strong>${escapeHTML(item.title)}</strong> (due ${formatDate(item.dueDate)}):
+                    ${formatDuration(item.minutesShort, settings.timeUnit)} short. ${item.reason}.
+                </li>`).join('')}
+            </ul>
+        </div>
+    `;
+
+    daysContainer.innerHTML = plan.days.length === 0
+        ? '<p class="empty-state">Nothing to plan. Every unfinished task is already covered.</p>'
+        : plan.days.map(day => {
+            const used = day.sessions.reduce((sum, session) => sum + session.minutes, 0);
+            return `
+                <section class="plan-day" aria-label="${formatDate(day.date)}">
+                    <div class="plan-day-header">
+                        <h3>${new Date(day.date).toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' })}</h3>
+                        <span>${(used / 60).toFixed(1)} / ${(day.capacity / 60).toFixed(1)} h</span>
+                    </div>
+                    <ul>
+                        ${day.sessions.map(session => `
+                        <li>
+                            <span>${escapeHTML(session.title)}${session.part ? ` <small>(part ${session.part} of ${session.parts})</small>` : ''}</span>
+                            <span>${formatDuration(session.minutes, settings.timeUnit)}</span>
+                        </li>`).join('')}
+                    </ul>
+                </section>
+            `;
+        }).join('');
+}
+
+/**
+ * Render the tag management page: one row per tag with recolour, rename, merge and delete
+ */
+export function renderTagManager() {
+    const container = document.getElementById('tags-list');
+    const tags = getTagSummary();
+    const colors = getSettings().tagColors;
+    
+    if (tags.length === 0) {
+        container.innerHTML = '<p class="empty-state">No tags yet. Tags you add to tasks show up here.</p>';
+        return;
+    }
+    
+    container.innerHTML = `<ul class="tag-list">${tags.map((tag, index) => {
+        const name = escapeHTML(tag.name);
+        const others = tags.filter(other => other.name !== tag.name);
+        
+        return `
+            <li class="tag-row" data-tag="${name}">
+                <div class="tag-row-info">
+                    ${renderTagBadges([tag.name], colors)}
+                    <span class="tag-count">${tag.count} ${tag.count === 1 ? 'task' : 'tasks'}</span>
+                </div>
+                <div class="tag-row-actions">
+                    <label for="tag-color-${index}" class="sr-only">Colour for ${name}</label>
+                    <input type="color" id="tag-color-${index}" class="tag-color-input" value="${getTagColor(tag.name, colors)}">
+                    <label for="tag-name-${index}" class="sr-only">New name for ${name}</label>
+                    <input type="text" id="tag-name-${index}" class="tag-name-input" value="${name}">
+                    <button type="button" class="btn-secondary tag-rename-btn" aria-label="Rename ${name}">Rename</button>
+                    ${others.length > 0 ? `
+                    <label for="tag-merge-${index}" class="sr-only">Tag to merge ${name} into</label>
+                    <select id="tag-merge-${index}" class="tag-merge-select">
+                        ${others.map(other => `<option value="${escapeHTML(other.name)}">${escapeHTML(other.name)}</option>`).join('')}
+                    </select>
+                    <button type="button" class="btn-secondary tag-merge-btn" aria-label="Merge ${name} into the selected tag">Merge</button>` : ''}
+                    <button type="button" class="btn-delete tag-delete-btn" aria-label="Delete ${name} from every task">Delete</button>
+                </div>
+            </li>`;
+    }).join('')}</ul>`;
 }
 
 /**
  * Format duration based on unit setting
  */
-function formatDuration(minutes, unit) {
+export function formatDuration(minutes, unit) {
     if (unit === 'hours') {
         const hours = (minutes / 60).toFixed(1);
         return `${hours} ${hours === '1.0' ? 'hour' : 'hours'}`;
@@ -241,11 +1450,13 @@ function formatDuration(minutes, unit) {
 }
 
 /**
- * Format date for display
+ * Format date for display. Date strings are calendar days, so they are read as UTC
+ * to keep the same day whatever the time zone.
  */
 function formatDate(dateString) {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', { 
+        timeZone: 'UTC',
         year: 'numeric', 
         month: 'short', 
         day: 'numeric' 
@@ -253,11 +1464,19 @@ function formatDate(dateString) {
 }
 
 /**
- * Format datetime for display
+ * Format a task's due date, with its due time when it has one
+ */
+function formatDue(task) {
+    return task.dueTime ? `${formatDate(task.dueDate)} at ${task.dueTime}` : formatDate(task.dueDate);
+}
+
+/**
+ * Format datetime for display, in the chosen time zone
  */
 function formatDateTime(isoString) {
     const date = new Date(isoString);
     return date.toLocaleDateString('en-US', { 
+        timeZone: getTimeZone(),
         year: 'numeric', 
         month: 'short', 
         day: 'numeric',
@@ -271,4 +1490,19 @@ function formatDateTime(isoString) {
  */
 export function confirmAction(message) {
     return confirm(message);
-}
\ No newline at end of file
+}
+
+/**
+ * Escape text for safe insertion into HTML, including attribute values
+ * @param {*} text - Text to escape
+ * @returns {string}
+ */
+export function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
@@ -0,0 +1,90 @@
+// urgency.js - Priority levels, urgency scores and the urgent/important matrix
+
+import { TASK_PRIORITIES } from './validators.js';
+import { getDeadline } from './dates.js';
+import { getRemainingMinutes } from './planner.js';
+
+export const PRIORITY_LABELS = { low: 'Low', medium: 'Medium', high: 'High' };
+
+// How much each priority scales the time pressure
+const PRIORITY_WEIGHTS = { low: 0.4, medium: 0.7, high: 1 };
+
+// Hours of work a day is assumed to hold when turning remaining time into days
+const WORK_HOURS_PER_DAY = 4;
+
+// Tasks with no more than this many days to spare count as urgent
+const URGENT_SLACK_DAYS = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Quadrants of the matrix, most pressing first
+ */
+export const QUADRANTS = [
+    { id: 'do', label: 'Do now', description: 'Urgent and important' },
+    { id: 'schedule', label: 'Schedule', description: 'Important, not urgent' },
+    { id: 'squeeze', label: 'Fit in', description: 'Urgent, less important' },
+    { id: 'later', label: 'Later', description: 'Neither urgent nor important' }
+];
+
+/**
+ * Priority of a task; tasks saved before priorities existed count as medium
+ * @param {Object} task - Task or occurrence
+ * @returns {string} 'low', 'medium' or 'high'
+ */
+export function getTaskPriority(task) {
+    return TASK_PRIORITIES.includes(task.priority) ? task.priority : 'medium';
+}
+
+/**
+ * Score how pressing a task is, from its priority, the time left until it's due
+ * and the work still to do. Slack is the days to spare once the remaining work
+ * is done at WORK_HOURS_PER_DAY; no slack scores the full priority weight,
+ * two days to spare half of it, and so on down.
+ * @param {Object} task - Task or occurrence
+ * @param {number} [now] - ms timestamp
+ * @returns {Object} { score: 0-100, slackDays, urgent, important }
+ */
+export function getUrgency(task, now = Date.now()) {
+    const priority = getTaskPriority(task);
+
+    if ((task.status || 'todo') === 'done') {
+        return { score: 0, slackDays: null, urgent: false, important: priority === 'high' };
+    }
+
+    const daysLeft = (getDeadline(task) - now) / DAY_MS;
+    const workDays = getRemainingMinutes(task) / 60 / WORK_HOURS_PER_DAY;
+    const slackDays = daysLeft - workDays;
+    const pressure = 1 / (1 + Math.max(slackDays, 0) / URGENT_SLACK_DAYS);
+
+    return {
+        score: Math.round(100 * pressure * PRIORITY_WEIGHTS[priority]),
+        slackDays,
+        urgent: slackDays <= URGENT_SLACK_DAYS,
+        important: priority === 'high'
+    };
+}
+
+/**
+ * Which matrix quadrant a task belongs in
+ * @param {Object} urgency - From getUrgency()
+ * @returns {string} Quadrant id
+ */
+export function getQuadrant(urgency) {
+    if (urgency.urgent) return urgency.important ? 'do' : 'squeeze';
+    return urgency.important ? 'schedule' : 'later';
+}
+
+/**
+ * Short reason behind a score, for the Next up list
+ * @param {Object} urgency - From getUrgency()
+ * @returns {string} e.g. "1.5 days to spare"
+ */
+export function describeSlack(urgency) {
+    if (urgency.slackDays === null) return '';
+    if (urgency.slackDays < 0) return 'Behind: not enough time left for the remaining work';
+    if (urgency.slackDays < 1) return 'Less than a day to spare';
+
+    const days = Math.round(urgency.slackDays * 10) / 10;
+    return `${days} day${days === 1 ? '' : 's'} to spare`;
+}
@@ -0,0 +1,347 @@
+// validators.js - Regex validation rules
+
+import { FREQUENCIES } from './recurrence.js';
+
+/**
+ * Validation patterns with explanations
+ */
+export const PATTERNS = {
+    // Rule 1: Title - no leading/trailing spaces, no double spaces
+    title: {
+        regex: /^\S(?:.*\S)?$/,
+        message: 'No leading/trailing spaces allowed. Must contain at least one non-space character.',
+        test: (value) => {
+            if (!value.trim()) return false;
+            if (value !== value.trim()) return false;
+            if (/\s{2,}/.test(value)) return false;
+            return PATTERNS.title.regex.test(value);
+        }
+    },
+    
+    // Rule 2: Duration - whole or decimal numbers (e.g., 30 or 45.5)
+    duration: {
+        regex: /^(0|[1-9]\d*)(\.\d{1,2})?$/,
+        message: 'Enter a valid number (e.g., 30 or 45.5)',
+        test: (value) => PATTERNS.duration.regex.test(value)
+    },
+    
+    // Rule 3: Date - YYYY-MM-DD format with valid ranges
+    date: {
+        regex: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
+        message: 'Enter date in YYYY-MM-DD format (e.g., 2025-10-20)',
+        test: (value) => {
+            if (!PATTERNS.date.regex.test(value)) return false;
+            // Additional validation: check if date is valid
+            const date = new Date(value);
+            return date instanceof Date && !isNaN(date);
+        }
+    },
+    
+    // Rule 3b: Time - 24-hour HH:MM (e.g., 09:30 or 17:00), same shape as SEARCH_PATTERNS.timePattern
+    time: {
+        regex: /^([01]\d|2[0-3]):[0-5]\d$/,
+        message: 'Enter a 24-hour time as HH:MM (e.g., 09:30 or 17:00)',
+        test: (value) => PATTERNS.time.regex.test(value)
+    },
+    
+    // Rule 4: Tag - letters, spaces, hyphens only
+    tag: {
+        regex: /^[A-Za-z]+(?:[ -][A-Za-z]+)*$/,
+        message: 'Use only letters, spaces, and hyphens (e.g., Study-Group, Homework)',
+        test: (value) => PATTERNS.tag.regex.test(value)
+    },
+    
+    // Rule 4b: Tag list - one or more tags separated by commas
+    tags: {
+        regex: /^[A-Za-z]+(?:[ -][A-Za-z]+)*(?:\s*,\s*[A-Za-z]+(?:[ -][A-Za-z]+)*)*$/,
+        message: 'Separate tags with commas; use only letters, spaces, and hyphens (e.g., Physics, Group-Work)',
+        test: (value) => PATTERNS.tags.regex.test(value)
+    },
+    
+    // Rule 4c: Credits - whole or half credits (e.g., 3 or 1.5)
+    credits: {
+        regex: /^(0|[1-9]\d?)(\.5)?$/,
+        message: 'Enter whole or half credits (e.g., 3 or 1.5)',
+        test: (value) => PATTERNS.credits.regex.test(value)
+    },
+    
+    // Rule 4d: Reminders - times before the deadline in days, hours or minutes, or "none"
+    reminders: {
+        regex: /^(?:none|\d{1,4}\s*[dhm](?:\s*,\s*\d{1,4}\s*[dhm])*)$/i,
+        message: 'List times before the deadline, like 1d, 2h, 30m, or type none',
+        test: (value) => PATTERNS.reminders.regex.test(value)
+    },
+    
+    // Advanced Rule 5: Duplicate word detection (back-reference)
+    // Used for detecting repeated words in title (e.g., "the the assignment")
+    duplicateWord: {
+        regex: /\b(\w+)\s+\1\b/i,
+        message: 'Duplicate word detected',
+        test: (value) => !PATTERNS.duplicateWord.regex.test(value)
+    }
+};
+
+/**
+ * Task progress states, in workflow order
+ */
+export const TASK_STATUSES = ['todo', 'in-progress', 'done'];
+
+/**
+ * Task priority levels, lowest first
+ */
+export const TASK_PRIORITIES = ['low', 'medium', 'high'];
+
+/**
+ * Validate a single field
+ * @param {string} field - Field name
+ * @param {string} value - Field value
+ * @returns {Object} { valid: boolean, message: string }
+ */
+export function validateField(field, value) {
+    const pattern = PATTERNS[field];
+    
+    if (!pattern) {
+        return { valid: true, message: '' };
+    }
+    
+    const valid = pattern.test(value);
+    
+    return {
+        valid,
+        message: valid ? '' : pattern.message
+    };
+}
+
+/**
+ * Validate entire task object
+ * @param {Object} task - Task object to validate
+ * @returns {Object} { valid: boolean, errors: Object }
+ */
+export function validateTask(task) {
+    const errors = {};
+    
+    // Validate title
+    const titleValidation = validateField('title', task.title);
+    if (!titleValidation.valid) {
+        errors.title = titleValidation.message;
+    }
+    
+    // Check for duplicate words in title (advanced regex)
+    const dupValidation = validateField('duplicateWord', task.title);
+    if (!dupValidation.valid) {
+        errors.title = dupValidation.message;
+    }
+    
+    // Validate duration
+    const durationValidation = validateField('duration', task.duration);
+    if (!durationValidation.valid) {
+        errors.duration = durationValidation.message;
+    }
+    
+    // Validate date
+    const dateValidation = validateField('date', task.dueDate);
+    if (!dateValidation.valid) {
+        errors.dueDate = dateValidation.message;
+    }
+    
+    // Validate due time (optional)
+    if (task.dueTime) {
+        const timeValidation = validateField('time', task.dueTime);
+        if (!timeValidation.valid) {
+            errors.dueTime = timeValidation.message;
+        }
+    }
+    
+    // Validate tags (comma-separated text, as typed)
+    const tagsValidation = validateField('tags', task.tags);
+    if (!tagsValidation.valid) {
+        errors.tags = tagsValidation.message;
+    }
+    
+    // Validate actual time spent (optional)
+    if (task.actualMinutes !== undefined && task.actualMinutes !== null && task.actualMinutes !== '') {
+        const actualValidation = validateField('duration', String(task.actualMinutes));
+        if (!actualValidation.valid) {
+            errors.actualMinutes = actualValidation.message;
+        }
+    }
+    
+    // Validate reminders (optional; empty uses the default)
+    if (task.reminders) {
+        const remindersValidation = validateField('reminders', task.reminders);
+        if (!remindersValidation.valid) {
+            errors.reminders = remindersValidation.message;
+        }
+    }
+    
+    // Validate priority (optional; missing means medium)
+    if (task.priority && !TASK_PRIORITIES.includes(task.priority)) {
+        errors.priority = `Choose one of: ${TASK_PRIORITIES.join(', ')}`;
+    }
+    
+    // Validate checklist steps (optional); the first bad step is reported
+    (task.subtasks || []).some((step, index) => {
+        const stepTitle = validateField('title', step.title);
+        const stepDuration = step.duration === null || step.duration === undefined || step.duration === ''
+            ? { valid: true }
+            : validateField('duration', String(step.duration));
+        const problem = !stepTitle.valid ? stepTitle : (!stepDuration.valid ? stepDuration : null);
+        if (problem) errors.subtasks = `Step ${index + 1}: ${problem.message}`;
+        return Boolean(problem);
+    });
+    
+    // Validate recurrence rule (optional)
+    const recurrenceValidation = validateRecurrence(task.recurrence, task.dueDate);
+    if (!recurrenceValidation.valid) {
+        errors.recurrence = recurrenceValidation.message;
+    }
+    
+    return {
+        valid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate a course. Only the name is required.
+ * @param {Object} course - { name, credits, instructor, term, weeklyBudget } as typed
+ * @returns {Object} { valid: boolean, errors: Object }
+ */
+export function validateCourse(course) {
+    const errors = {};
+    const filled = (value) => value !== undefined && value !== null && String(value) !== '';
+    
+    const nameValidation = validateField('title', course.name || '');
+    if (!nameValidation.valid) {
+        errors.name = nameValidation.message;
+    }
+    
+    if (filled(course.credits)) {
+        const creditsValidation = validateField('credits', String(course.credits));
+        if (!creditsValidation.valid) errors.credits = creditsValidation.message;
+    }
+    
+    ['instructor', 'term'].forEach(field => {
+        if (!filled(course[field])) return;
+        const validation = validateField('title', course[field]);
+        if (!validation.valid) errors[field] = validation.message;
+    });
+    
+    // Weekly budget is in hours and uses the same number format as durations
+    if (filled(course.weeklyBudget)) {
+        const budgetValidation = validateField('duration', String(course.weeklyBudget));
+        if (!budgetValidation.valid) errors.weeklyBudget = budgetValidation.message;
+    }
+    
+    return {
+        valid: Object.keys(errors).length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate a recurrence rule
+ * @param {Object|null} rule - { frequency, interval, weekdays, until, count }
+ * @param {string} startDate - First due date of the series
+ * @returns {Object} { valid: boolean, message: string }
+ */
+export function validateRecurrence(rule, startDate) {
+    const fail = (message) => ({ valid: false, message });
+    
+    if (!rule) return { valid: true, message: '' };
+    
+    if (!FREQUENCIES.includes(rule.frequency)) {
+        return fail('Choose daily, weekly or monthly');
+    }
+    
+    if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+        return fail('Repeat interval must be a whole number of 1 or more');
+    }
+    
+    if (rule.frequency === 'weekly') {
+        const days = rule.weekdays || [];
+        if (days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+            return fail('Pick at least one weekday');
+        }
+    }
+    
+    if (rule.until && rule.count) {
+        return fail('Set an end date or an occurrence count, not both');
+    }
+    
+    if (rule.until) {
+        if (!PATTERNS.date.test(rule.until)) return fail(PATTERNS.date.message);
+        if (startDate && rule.until < startDate) return fail('End date must be on or after the due date');
+    }
+    
+    if (rule.count !== null && rule.count !== undefined) {
+        if (!Number.isInteger(rule.count) || rule.count < 1) {
+            return fail('Occurrence count must be a whole number of 1 or more');
+        }
+    }
+    
+    return { valid: true, message: '' };
+}
+
+/**
+ * Safe regex compiler for search
+ * @param {string} input - Regex pattern string
+ * @param {string} flags - Regex flags
+ * @returns {RegExp|null} Compiled regex or null if invalid
+ */
+export function compileRegex(input, flags = 'i') {
+    try {
+        return input ? new RegExp(input, flags) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Common search patterns for Campus Life Planner
+ */
+export const SEARCH_PATTERNS = {
+    // Find tasks with specific tags (e.g., @homework)
+    tagSearch: /@(\w+)/,
+    
+    // Find time patterns (e.g., 14:30)
+    timePattern: /\b\d{2}:\d{2}\b/,
+    
+    // Find specific keywords (case-insensitive)
+    keyword: (word) => new RegExp(`\\b${word}\\b`, 'i'),
+    
+    // Find tasks with duration in certain range
+    durationRange: /(\d+)-(\d+)\s*min/,
+    
+    // Find dates in text
+    dateInText: /\b\d{4}-\d{2}-\d{2}\b/
+};
+
+/**
+ * Highlight text matches with <mark> tags
+ * @param {string} text - Text to highlight
+ * @param {RegExp} regex - Regex pattern
+ * @returns {string} Text with <mark> tags
+ */
+export function highlightMatches(text, regex) {
+    if (!regex || !text) return text;
+    
+    try {
+        // Escape HTML to prevent XSS
+        const escaped = text.replace(/[&<>"']/g, (char) => {
+            const map = {
+                '&': '&amp;',
+                '<': '&lt;',
+                '>': '&gt;',
+                '"': '&quot;',
+                "'": '&#39;'
+            };
+            return map[char];
+        });
+        
+        // Add <mark> tags around matches
+        return escaped.replace(regex, (match) => `<mark>${match}</mark>`);
+    } catch (error) {
+        return text;
+    }
+}
\ No newline at end of file
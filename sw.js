@@ -0,0 +1,95 @@
+// sw.js - Service worker: precaches the app shell and modules so the planner works offline
+
+// Bump whenever a precached file changes; the new worker then installs alongside
+// the old one and the page offers a reload
+const CACHE_VERSION = 'v3';
+const CACHE_PREFIX = 'campus-planner-';
+const CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+
+// Everything index.html needs, with modules listed by the URLs they are imported as.
+// Add new modules here, or the planner breaks offline.
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-maskable.svg',
+    'styles/base.css',
+    'scripts/main.js',
+    'scripts/state.js',
+    'scripts/ui.js',
+    'scripts/Storage.js',
+    'scripts/idb.js',
+    'scripts/migrations.js',
+    'scripts/validators.js',
+    'scripts/dates.js',
+    'scripts/recurrence.js',
+    'scripts/tags.js',
+    'scripts/query.js',
+    'scripts/timer.js',
+    'scripts/calendar.js',
+    'scripts/ics.js',
+    'scripts/csv.js',
+    'scripts/merge.js',
+    'scripts/reminders.js',
+    'scripts/planner.js',
+    'scripts/timetable.js',
+    'scripts/subtasks.js',
+    'scripts/dependencies.js',
+    'scripts/urgency.js',
+    'scripts/analytics.js',
+    'scripts/pwa.js',
+    'scripts/sync.js',
+    'scripts/encryption.js'
+];
+
+self.addEventListener('install', event => {
+    // Bypass the HTTP cache so a new version never precaches stale files.
+    // No skipWaiting here: the page asks first, so code isn't swapped under an open form.
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache =>
+            cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Sent by the page when the user chooses to reload into the new version
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    // Cache first, so the page and its modules always come from the same version
+    const navigate = request.mode === 'navigate';
+    event.respondWith(
+        caches.match(request, { cacheName: CACHE_NAME, ignoreSearch: navigate })
+            .then(response => response || fetchAndCache(request))
+            // Offline, any other address in the app still opens the planner
+            .catch(error => (navigate ? caches.match('index.html', { cacheName: CACHE_NAME }) : Promise.reject(error)))
+    );
+});
+
+/**
+ * Fetch something not precached, keeping a copy for next time offline
+ */
+function fetchAndCache(request) {
+    return fetch(request).then(response => {
+        if (response.ok && response.type === 'basic') {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+        }
+        return response;
+    });
+}